@@ -0,0 +1,247 @@
+/**
+ * Analysis Worklet - Audio-thread feature extraction for AudioAnalyzer
+ * Computes features at a fixed hop on Float32 input, timestamped against the
+ * audio clock, and hands compact frames to the main thread through a shared
+ * ring buffer (or batched postMessage when SharedArrayBuffer is unavailable).
+ *
+ * Loaded with audioContext.audioWorklet.addModule(); see AudioAnalyzer.enableWorklet().
+ */
+
+// Frame layout, must match FeatureRingBuffer.FIELDS in audioAnalyzer.js.
+// Frames are Float64: Float32 seconds stop resolving single samples after 2^24 samples (~6 min at 44.1 kHz).
+const FRAME_FIELDS = ['time', 'rms', 'peak', 'centroid', 'flux', 'onset', 'low', 'mid', 'high'];
+const FRAME_STRIDE = FRAME_FIELDS.length;
+const HEADER_BYTES = 8; // Int32 write count, Int32 read count
+
+class AnalysisProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const {
+      fftSize = 1024,
+      hopSize = 256,
+      sharedBuffer = null,
+      capacity = 1024,
+      batchSize = 8
+    } = options.processorOptions || {};
+
+    this.fftSize = fftSize;
+    this.hopSize = hopSize;
+
+    // Circular input history holding the newest fftSize samples
+    this.history = new Float32Array(fftSize);
+    this.writeIndex = 0;
+    this.samplesSinceHop = 0;
+
+    // FFT work buffers
+    this.real = new Float32Array(fftSize);
+    this.imag = new Float32Array(fftSize);
+    this.previousMagnitudes = new Float32Array(fftSize / 2);
+    this.window = new Float32Array(fftSize);
+    for (let i = 0; i < fftSize; i++) {
+      this.window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / fftSize);
+    }
+
+    // Band edges as bin indices
+    const binWidth = sampleRate / fftSize;
+    this.bandBins = [
+      [Math.ceil(20 / binWidth), Math.ceil(250 / binWidth)],
+      [Math.ceil(250 / binWidth), Math.ceil(2000 / binWidth)],
+      [Math.ceil(2000 / binWidth), Math.min(fftSize / 2, Math.ceil(20000 / binWidth))]
+    ];
+
+    // Onset detection: moving-median threshold with refractory period
+    this.fluxHistory = new Float32Array(Math.max(3, Math.round(0.5 * sampleRate / hopSize)));
+    this.fluxHistoryIndex = 0;
+    this.sortedFlux = new Float32Array(this.fluxHistory.length);
+    this.thresholdMultiplier = 1.5;
+    this.thresholdOffset = 0.002;
+    this.refractoryPeriod = 0.1;
+    this.lastOnsetTime = -Infinity;
+
+    // Output: shared ring buffer, or batches posted through the port
+    this.frame = new Float64Array(FRAME_STRIDE);
+    if (sharedBuffer) {
+      this.capacity = capacity;
+      this.header = new Int32Array(sharedBuffer, 0, 2);
+      this.data = new Float64Array(sharedBuffer, HEADER_BYTES, capacity * FRAME_STRIDE);
+    } else {
+      this.batchSize = batchSize;
+      this.batch = new Float64Array(batchSize * FRAME_STRIDE);
+      this.batchCount = 0;
+    }
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!input || input.length === 0) {
+      return true;
+    }
+
+    const channels = input.length;
+    const length = input[0].length;
+
+    for (let i = 0; i < length; i++) {
+      let sample = 0;
+      for (let c = 0; c < channels; c++) {
+        sample += input[c][i];
+      }
+
+      this.history[this.writeIndex] = sample / channels;
+      this.writeIndex = (this.writeIndex + 1) % this.fftSize;
+
+      if (++this.samplesSinceHop >= this.hopSize) {
+        this.samplesSinceHop = 0;
+        // Timestamp of the sample following the newest one in the window
+        this.analyze((currentFrame + i + 1) / sampleRate);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Compute one feature frame from the newest fftSize samples
+   */
+  analyze(time) {
+    let sumSquares = 0;
+    let peak = 0;
+
+    for (let i = 0; i < this.fftSize; i++) {
+      const sample = this.history[(this.writeIndex + i) % this.fftSize];
+      sumSquares += sample * sample;
+      peak = Math.max(peak, Math.abs(sample));
+      this.real[i] = sample * this.window[i];
+      this.imag[i] = 0;
+    }
+
+    fft(this.real, this.imag);
+
+    const binCount = this.fftSize / 2;
+    const binWidth = sampleRate / this.fftSize;
+    const bands = [0, 0, 0];
+    let weightedSum = 0;
+    let magnitudeSum = 0;
+    let flux = 0;
+
+    for (let k = 0; k < binCount; k++) {
+      const magnitude = Math.sqrt(this.real[k] * this.real[k] + this.imag[k] * this.imag[k]) / binCount;
+      weightedSum += magnitude * k * binWidth;
+      magnitudeSum += magnitude;
+
+      const rise = magnitude - this.previousMagnitudes[k];
+      if (rise > 0) flux += rise;
+      this.previousMagnitudes[k] = magnitude;
+
+      for (let b = 0; b < 3; b++) {
+        if (k >= this.bandBins[b][0] && k < this.bandBins[b][1]) {
+          bands[b] += magnitude;
+        }
+      }
+    }
+
+    for (let b = 0; b < 3; b++) {
+      bands[b] /= Math.max(1, this.bandBins[b][1] - this.bandBins[b][0]);
+    }
+
+    // Adaptive threshold from the median of recent flux
+    const threshold = this.getMedianFlux() * this.thresholdMultiplier + this.thresholdOffset;
+    const onset = flux > threshold && time - this.lastOnsetTime >= this.refractoryPeriod;
+    if (onset) {
+      this.lastOnsetTime = time;
+    }
+    this.fluxHistory[this.fluxHistoryIndex] = flux;
+    this.fluxHistoryIndex = (this.fluxHistoryIndex + 1) % this.fluxHistory.length;
+
+    const frame = this.frame;
+    frame[0] = time;
+    frame[1] = Math.sqrt(sumSquares / this.fftSize);
+    frame[2] = peak;
+    frame[3] = magnitudeSum > 0 ? weightedSum / magnitudeSum : 0;
+    frame[4] = flux;
+    frame[5] = onset ? 1 : 0;
+    frame[6] = bands[0];
+    frame[7] = bands[1];
+    frame[8] = bands[2];
+
+    this.emit(frame);
+  }
+
+  /**
+   * Median of the flux history, sorted in a preallocated buffer to avoid audio-thread garbage
+   */
+  getMedianFlux() {
+    const sorted = this.sortedFlux;
+    sorted.set(this.fluxHistory);
+    sorted.sort();
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+
+  /**
+   * Hand a frame to the main thread
+   */
+  emit(frame) {
+    if (this.data) {
+      // Writer owns the write count; the reader skips ahead if it falls behind
+      const writeCount = Atomics.load(this.header, 0);
+      this.data.set(frame, (writeCount % this.capacity) * FRAME_STRIDE);
+      Atomics.store(this.header, 0, writeCount + 1);
+      return;
+    }
+
+    this.batch.set(frame, this.batchCount * FRAME_STRIDE);
+    if (++this.batchCount >= this.batchSize) {
+      this.port.postMessage({ type: 'frames', data: this.batch.slice() });
+      this.batchCount = 0;
+    }
+  }
+}
+
+/**
+ * In-place iterative radix-2 FFT
+ */
+function fft(real, imag) {
+  const n = real.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let length = 2; length <= n; length <<= 1) {
+    const angle = -2 * Math.PI / length;
+    const stepReal = Math.cos(angle);
+    const stepImag = Math.sin(angle);
+
+    for (let i = 0; i < n; i += length) {
+      let wReal = 1;
+      let wImag = 0;
+
+      for (let j = 0; j < length / 2; j++) {
+        const a = i + j;
+        const b = a + length / 2;
+        const tReal = real[b] * wReal - imag[b] * wImag;
+        const tImag = real[b] * wImag + imag[b] * wReal;
+
+        real[b] = real[a] - tReal;
+        imag[b] = imag[a] - tImag;
+        real[a] += tReal;
+        imag[a] += tImag;
+
+        const nextReal = wReal * stepReal - wImag * stepImag;
+        wImag = wReal * stepImag + wImag * stepReal;
+        wReal = nextReal;
+      }
+    }
+  }
+}
+
+registerProcessor('audio-analysis-processor', AnalysisProcessor);
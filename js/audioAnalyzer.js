@@ -4,17 +4,32 @@
  */
 
 class AudioAnalyzer {
-  constructor(audioContext, fftSize = 2048) {
-    this.audioContext = audioContext;
-    this.fftSize = fftSize;
-    
-    // Create analyser node
-    this.analyser = audioContext.createAnalyser();
-    this.analyser.fftSize = fftSize;
+  /**
+   * @param {AudioContext|object} input - Audio context, or any frame source
+   *   (AnalyserFrameSource, SignalFrameSource or a custom implementation)
+   * @param {number} fftSize - FFT size used when wrapping an audio context
+   */
+  constructor(input, fftSize = 2048) {
+    // Frame source supplying spectrum and waveform frames; anything that is not an
+    // audio context must implement the whole frame-source interface
+    if (!input || typeof input.createAnalyser !== 'function') {
+      const errors = AudioAnalyzer.validateFrameSource(input);
+      if (errors.length > 0) {
+        throw new Error(`Invalid frame source:\n  ${errors.join('\n  ')}`);
+      }
+    }
+    this.frameSource = input.createAnalyser ? new AnalyserFrameSource(input, fftSize) : input;
+    this.audioContext = this.frameSource.audioContext || null;
+    this.analyser = this.frameSource.analyser || null;
+    this.sampleRate = this.frameSource.sampleRate;
+    this.frequencyBinCount = this.frameSource.frequencyBinCount;
+    this.fftSize = this.frequencyBinCount * 2;
     
     // Frequency and time domain data
-    this.dataArrayFrequency = new Uint8Array(this.analyser.frequencyBinCount);
-    this.dataArrayTime = new Uint8Array(this.analyser.frequencyBinCount);
+    this.dataArrayFrequency = new Uint8Array(this.frequencyBinCount);
+    this.dataArrayTime = new Uint8Array(this.frequencyBinCount);
+    this.dataArrayFloatFrequency = new Float32Array(this.frequencyBinCount); // dB, unclipped
+    this.dataArrayFloatTime = new Float32Array(this.fftSize);
     
     // Beat detection state
     this.beatThreshold = 0.6;
@@ -22,11 +37,25 @@ class AudioAnalyzer {
     this.prevEnergy = 0;
     this.isBeat = false;
     this.beatEnergy = 0;
+    this.onsetStrength = 0;
     
-    // History buffers for smoothing and analysis
-    this.frequencyHistory = [];
-    this.energyHistory = [];
-    this.maxHistoryLength = 60; // 60 frames of history
+    // Mood-driven response (see applyAudioProfile / setMoodEngine)
+    this.bandEmphasis = {}; // band name -> gain on its energy and onset flux
+    this.moodEngine = null;
+    
+    // History ring buffers, sized in seconds from the expected frame rate
+    // (hop rate for headless sources, display rate otherwise)
+    this.maxHistoryLength = 60; // frames averaged for beat detection and peak history
+    this.historyFrameRate = this.frameSource.hopSize ?
+      this.sampleRate / this.frameSource.hopSize : 60;
+    this.spectrogramDuration = 10; // seconds of normalized spectra
+    this.featureHistoryDuration = 60; // seconds of per-feature time series
+    this.historyFeatures = [
+      'totalEnergy', 'spectralCentroid', 'spectralFlux', 'spectralRolloff', 'spectralFlatness',
+      'harmonicRatio', 'onsetStrength', 'momentary', 'rms',
+      'subBass', 'bass', 'lowMid', 'mid', 'highMid', 'treble', 'brilliance'
+    ];
+    this.allocateHistory();
     
     // Frequency band analysis
     this.frequencyBands = {
@@ -39,6 +68,30 @@ class AudioAnalyzer {
       brilliance: { min: 6000, max: 20000, energy: 0 }
     };
     
+    // Named band layouts; 'default' mirrors the frequencyBands table above
+    this.bandLayouts = BandLayout.createPresets();
+    this.bandLayouts.default = BandLayout.fromBandTable(this.frequencyBands);
+    this.layoutEnergyCache = {};
+    this.frameCount = 0;
+    
+    // Audio-thread analysis (see enableWorklet)
+    this.sources = [];
+    this.workletNode = null;
+    this.workletRing = null;
+    this.pendingWorkletFrames = [];
+    this.workletFrames = []; // frames received during the last update
+    
+    // Stereo analysis (see enableStereo)
+    this.stereo = null;
+    this.stereoStats = {
+      leftLevel: 0,
+      rightLevel: 0,
+      balance: 0, // -1 (left) to 1 (right)
+      correlation: 1, // -1 (out of phase) to 1 (mono)
+      width: 0, // 0 (mono) to 1 (fully out of phase); uncorrelated material sits near 0.5
+      bandPan: {}
+    };
+    
     // Statistical data
     this.stats = {
       totalEnergy: 0,
@@ -49,70 +102,609 @@ class AudioAnalyzer {
       spectralFlux: 0,
       zeroCrossingRate: 0,
       variance: 0,
-      entropy: 0
+      entropy: 0,
+      pitch: 0,
+      pitchConfidence: 0,
+      chroma: new Array(12).fill(0),
+      chord: null,
+      key: null,
+      keyMode: null,
+      keyConfidence: 0,
+      spectralRolloff: 0,
+      spectralFlatness: 0,
+      mfcc: new Array(13).fill(0),
+      spectralContrast: {},
+      harmonicEnergy: 0,
+      percussiveEnergy: 0,
+      harmonicRatio: 0.5
+    };
+    
+    // Loudness metering (ITU-R BS.1770 K-weighting)
+    this.kWeighting = AudioAnalyzer.createKWeightingFilters(this.sampleRate);
+    this.loudnessFrames = []; // { time, meanSquare } of K-weighted frames
+    this.loudnessBlocks = []; // gated 400 ms block mean squares for integrated loudness
+    this.lastLoudnessBlockTime = null;
+    this.lastLoudnessUpdate = null;
+    this.meters = {
+      momentary: -Infinity, // LUFS, 400 ms window
+      shortTerm: -Infinity, // LUFS, 3 s window
+      integrated: -Infinity, // LUFS, gated over the whole session
+      rms: -Infinity, // dBFS
+      peak: -Infinity, // dBFS sample peak
+      truePeak: -Infinity, // dBTP, 4x oversampled estimate
+      maxTruePeak: -Infinity // dBTP, session maximum
+    };
+    
+    // Adaptive gain applied to the spectrum and waveform fed to visuals
+    this.normalization = {
+      enabled: true,
+      targetLoudness: -14, // LUFS
+      maxGain: 24, // dB
+      minGain: -12, // dB
+      attack: 0.5, // seconds to pull gain down
+      release: 3, // seconds to bring gain up
+      gate: -50 // LUFS; gain is held below this (silence, fades)
     };
+    this.normalizationGain = 0; // dB currently applied
+    
+    // Timbre
+    this.rolloffPercent = 0.85;
+    this.mfccOptions = { filters: 26, coefficients: 13, minFrequency: 20, maxFrequency: 8000 };
+    this.mfccFilterBank = null; // triangular mel filters, built lazily
+    this.powerSpectrum = new Float32Array(this.frequencyBinCount);
+    this.contrastQuantile = 0.2; // fraction of a band's bins averaged for peak and valley
+    this.contrastScratch = new Float32Array(this.frequencyBinCount);
+    
+    // Harmonic/percussive separation: median filters across time and frequency
+    this.hpssKernel = null; // { time: frames, frequency: bins }, set with setHarmonicPercussiveKernel
+    this.hpssScratch = null; // median window, sized for the kernel
+    this.setHarmonicPercussiveKernel({ time: 17, frequency: 17 });
+    this.harmonicSpectrum = new Float32Array(this.frequencyBinCount);
+    this.percussiveSpectrum = new Float32Array(this.frequencyBinCount);
+    
+    // Pitch and key estimation
+    this.pitchRange = { min: 80, max: 1000 }; // Hz
+    this.pitchThreshold = 0.15; // YIN absolute threshold
+    this.chromaRange = { min: 55, max: 5000 }; // Hz
+    this.chromaBinMap = null; // bin index -> pitch class, built lazily
+    this.chordSmoothing = 0.5; // seconds
+    this.keySmoothing = 8; // seconds
+    this.chordChroma = new Float32Array(12);
+    this.keyChroma = new Float32Array(12);
+    this.lastMusicalUpdate = null;
     
     // Peak detection
     this.peakHistory = [];
     this.peakThreshold = 0.7;
+    
+    // Onset detection: rectified spectral flux per stream of frequency bands
+    this.onsetStreams = {
+      full: Object.keys(this.frequencyBands),
+      kick: ['subBass', 'bass'],
+      snare: ['lowMid', 'mid'],
+      hihat: ['treble', 'brilliance']
+    };
+    this.onsetThresholdWindow = 0.5; // seconds of flux history for the moving median
+    this.onsetThresholdMultiplier = 1.5;
+    this.onsetThresholdOffset = 0.01;
+    this.onsetRefractoryPeriod = 0.1; // seconds
+    this.onsetState = {};
+    Object.keys(this.onsetStreams).forEach(stream => {
+      this.onsetState[stream] = {
+        flux: 0,
+        threshold: 0,
+        fluxHistory: [],
+        lastOnsetTime: -Infinity,
+        isOnset: false
+      };
+    });
+    
+    // Tempo tracking (onset envelope resampled onto a fixed grid)
+    this.onsetEnvelope = [];
+    this.tempoWindow = 8; // seconds of onset history
+    this.tempoResolution = 100; // envelope samples per second
+    this.tempoRange = { min: 60, max: 200 };
+    this.tempoUpdateInterval = 0.5; // seconds between estimates
+    this.resetTempo();
+    
+    // Song structure, detected on a longer history downsampled from the loudness meters
+    this.structureResolution = 0.1; // seconds between structure samples
+    this.structureWindow = 30; // seconds of structure history
+    this.structureHistory = []; // { time, loudness, shortTerm, centroid, onsets }
+    this.structureThresholds = {
+      silence: -60, // LUFS
+      silenceDuration: 0.5, // seconds below the silence level
+      trackEndDuration: 4, // seconds of silence after audio before trackEnd
+      buildUpDuration: 4, // seconds the ramps are measured over
+      buildUpSlope: 0.75, // LU per second
+      centroidSlope: 150, // Hz per second
+      centroidLoudnessSlope: 0.3, // LU per second a centroid-led build-up must still rise by
+      buildUpRearm: 8, // seconds after a build-up falls back to main before another can start
+      dropJump: 6, // LU above the preceding two seconds
+      breakdownDepth: 6, // LU below the long-term level
+      breakdownDuration: 2, // seconds
+      breakdownDensity: 2 // full-band onsets per second
+    };
+    this.section = { type: 'none', start: 0 }; // none, silence, main, buildUp, drop, breakdown
+    this.structureEvents = []; // { type, time, ... } most recent last
+    this.frameStructureEvents = []; // events raised during the last update
+    this.maxStructureEvents = 256;
+    this.structureOnsetCount = 0;
+    this.lastStructureSample = -Infinity;
+    this.hasAudio = false;
+    this.trackEnded = false;
+    this.buildUpReleaseTime = -Infinity; // when the last build-up fell back to main
+    
+    // Event listeners and user-defined threshold triggers
+    this.listeners = []; // { callback, eventType }
+    this.triggers = {};
+    this.wasBeat = false;
+    this.bandPeakState = {}; // band name -> above peakThreshold
+    this.peakRelease = 0.9; // fraction of peakThreshold a band must fall below to re-arm
+    this.silenceStartTime = 0;
+    this.reportedTempo = 0;
+    this.tempoChangeThreshold = 2; // BPM
   }
   
   /**
    * Connect audio source to analyser
    */
   connect(source) {
-    source.connect(this.analyser);
-    return this.analyser;
+    this.sources.push(source);
+    if (this.workletNode) {
+      source.connect(this.workletNode);
+    }
+    if (this.stereo) {
+      source.connect(this.stereo.input);
+    }
+    return this.frameSource.connect(source);
+  }
+  
+  /**
+   * Move feature extraction onto the audio thread with an AudioWorklet.
+   * Frames are computed at a fixed hop on float samples and timestamped
+   * against audioContext.currentTime. Only tempo and beat-phase tracking and the
+   * 'worklet' onset stream use them, so those survive main-thread stalls; beat
+   * detection (isBeat), band onsets and the other features still run on the
+   * AnalyserNode once per update.
+   * @param {string} moduleUrl - URL of analysisWorklet.js
+   * @param {object} options - { fftSize, hopSize, capacity }
+   */
+  async enableWorklet(moduleUrl = 'js/analysisWorklet.js', options = {}) {
+    if (!this.audioContext || !this.audioContext.audioWorklet) {
+      throw new Error('AudioWorklet is not available for this frame source');
+    }
+    if (this.workletNode) return this.workletNode;
+    
+    const { fftSize = 1024, hopSize = 256, capacity = 1024 } = options;
+    await this.audioContext.audioWorklet.addModule(moduleUrl);
+    
+    // SharedArrayBuffer needs a cross-origin isolated page; otherwise fall back to messages
+    const canShare = typeof SharedArrayBuffer !== 'undefined' &&
+      (typeof crossOriginIsolated === 'undefined' || crossOriginIsolated);
+    const sharedBuffer = canShare ? FeatureRingBuffer.allocate(capacity) : null;
+    
+    this.workletNode = new AudioWorkletNode(this.audioContext, 'audio-analysis-processor', {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      processorOptions: { fftSize, hopSize, capacity, sharedBuffer }
+    });
+    
+    if (sharedBuffer) {
+      this.workletRing = new FeatureRingBuffer(sharedBuffer, capacity);
+    } else {
+      this.workletNode.port.onmessage = (event) => {
+        if (event.data.type === 'frames') {
+          this.pendingWorkletFrames.push(...FeatureRingBuffer.decode(event.data.data));
+        }
+      };
+    }
+    
+    this.sources.forEach(source => source.connect(this.workletNode));
+    return this.workletNode;
+  }
+  
+  /**
+   * Stop audio-thread analysis
+   */
+  disableWorklet() {
+    if (!this.workletNode) return;
+    
+    this.sources.forEach(source => source.disconnect(this.workletNode));
+    this.workletNode.port.onmessage = null;
+    this.workletNode.port.close();
+    this.workletNode = null;
+    this.workletRing = null;
+    this.pendingWorkletFrames = [];
+    this.workletFrames = [];
+  }
+  
+  /**
+   * Analyse left and right channels separately alongside the mono analyser.
+   * Sources are split with a ChannelSplitterNode into one AnalyserNode per channel.
+   * The splitter works on discrete channels, so sources pass through a 2-channel
+   * 'speakers' node first; mono is upmixed to both sides and reads as centred.
+   * @param {number} lissajousPoints - Number of points kept for the goniometer view
+   * @returns {AudioNode} - Node the sources are connected to
+   */
+  enableStereo(lissajousPoints = 256) {
+    if (!this.audioContext) {
+      throw new Error('Stereo analysis requires a Web Audio frame source');
+    }
+    if (this.stereo) return this.stereo.input;
+    
+    const input = this.audioContext.createGain();
+    input.channelCount = 2;
+    input.channelCountMode = 'explicit';
+    input.channelInterpretation = 'speakers';
+    const splitter = this.audioContext.createChannelSplitter(2);
+    input.connect(splitter);
+    const createChannelAnalyser = (channel) => {
+      const analyser = this.audioContext.createAnalyser();
+      analyser.fftSize = this.fftSize;
+      analyser.smoothingTimeConstant = this.analyser.smoothingTimeConstant;
+      analyser.minDecibels = this.analyser.minDecibels;
+      analyser.maxDecibels = this.analyser.maxDecibels;
+      splitter.connect(analyser, channel);
+      return analyser;
+    };
+    
+    this.stereo = {
+      input,
+      splitter,
+      left: createChannelAnalyser(0),
+      right: createChannelAnalyser(1),
+      leftTime: new Float32Array(this.fftSize),
+      rightTime: new Float32Array(this.fftSize),
+      leftFrequency: new Uint8Array(this.frequencyBinCount),
+      rightFrequency: new Uint8Array(this.frequencyBinCount),
+      leftBands: new Float32Array(this.bandLayouts.default.bands.length),
+      rightBands: new Float32Array(this.bandLayouts.default.bands.length),
+      lissajous: new Float32Array(lissajousPoints * 2) // interleaved side, mid pairs
+    };
+    
+    this.sources.forEach(source => source.connect(input));
+    return input;
+  }
+  
+  /**
+   * Stop stereo analysis and reset the stereo readings
+   */
+  disableStereo() {
+    if (!this.stereo) return;
+    
+    this.sources.forEach(source => source.disconnect(this.stereo.input));
+    this.stereo.input.disconnect();
+    this.stereo.splitter.disconnect();
+    this.stereo = null;
+    this.stereoStats = {
+      leftLevel: 0,
+      rightLevel: 0,
+      balance: 0,
+      correlation: 1,
+      width: 0,
+      bandPan: {}
+    };
+  }
+  
+  /**
+   * Calculate per-channel levels, phase correlation, width and per-band pan
+   */
+  calculateStereoAnalysis() {
+    const stereo = this.stereo;
+    stereo.left.getFloatTimeDomainData(stereo.leftTime);
+    stereo.right.getFloatTimeDomainData(stereo.rightTime);
+    
+    let sumLeft = 0;
+    let sumRight = 0;
+    let sumProduct = 0;
+    let sumMid = 0;
+    let sumSide = 0;
+    for (let i = 0; i < stereo.leftTime.length; i++) {
+      const left = stereo.leftTime[i];
+      const right = stereo.rightTime[i];
+      sumLeft += left * left;
+      sumRight += right * right;
+      sumProduct += left * right;
+      sumMid += (left + right) * (left + right);
+      sumSide += (left - right) * (left - right);
+    }
+    
+    const stats = this.stereoStats;
+    stats.leftLevel = Math.sqrt(sumLeft / stereo.leftTime.length);
+    stats.rightLevel = Math.sqrt(sumRight / stereo.rightTime.length);
+    const totalLevel = stats.leftLevel + stats.rightLevel;
+    stats.balance = totalLevel > 1e-6 ? (stats.rightLevel - stats.leftLevel) / totalLevel : 0;
+    
+    // Silence counts as mono so the visuals do not jump around between tracks
+    const energy = Math.sqrt(sumLeft * sumRight);
+    stats.correlation = energy > 1e-10 ? sumProduct / energy : 1;
+    stats.width = sumMid + sumSide > 1e-10 ? sumSide / (sumMid + sumSide) : 0;
+    
+    this.calculateBandPan();
+    this.updateLissajous();
+  }
+  
+  /**
+   * Pan position per default band from the left/right power ratio
+   */
+  calculateBandPan() {
+    const stereo = this.stereo;
+    const layout = this.bandLayouts.default;
+    stereo.left.getByteFrequencyData(stereo.leftFrequency);
+    stereo.right.getByteFrequencyData(stereo.rightFrequency);
+    layout.compute(stereo.leftFrequency, this.sampleRate, stereo.leftBands);
+    layout.compute(stereo.rightFrequency, this.sampleRate, stereo.rightBands);
+    
+    // Byte energies are on a dB scale; convert back to power before comparing
+    const range = stereo.left.maxDecibels - stereo.left.minDecibels;
+    layout.bands.forEach((band, index) => {
+      const left = stereo.leftBands[index];
+      const right = stereo.rightBands[index];
+      if (left === 0 && right === 0) {
+        this.stereoStats.bandPan[band.name] = 0;
+        return;
+      }
+      const leftPower = Math.pow(10, left * range / 10);
+      const rightPower = Math.pow(10, right * range / 10);
+      this.stereoStats.bandPan[band.name] = (rightPower - leftPower) / (rightPower + leftPower);
+    });
+  }
+  
+  /**
+   * Decimate the newest samples into mid/side pairs for a goniometer display
+   */
+  updateLissajous() {
+    const { leftTime, rightTime, lissajous } = this.stereo;
+    const count = lissajous.length / 2;
+    const step = leftTime.length / count;
+    
+    for (let i = 0; i < count; i++) {
+      const index = Math.floor(i * step);
+      lissajous[i * 2] = (leftTime[index] - rightTime[index]) * Math.SQRT1_2;
+      lissajous[i * 2 + 1] = (leftTime[index] + rightTime[index]) * Math.SQRT1_2;
+    }
+  }
+  
+  /**
+   * Collect worklet frames produced since the previous update
+   */
+  drainWorkletFrames() {
+    if (this.workletRing) {
+      this.workletFrames = this.workletRing.read();
+    } else {
+      this.workletFrames = this.pendingWorkletFrames;
+      this.pendingWorkletFrames = [];
+    }
   }
   
   /**
    * Update analysis data - call this in animation loop
+   * @param {number} time - Frame time in seconds (defaults to the source clock)
    */
-  update() {
+  update(time = this.frameSource.getTime()) {
+    this.frameCount++;
+    
+    if (this.moodEngine) {
+      this.applyAudioProfile(this.moodEngine.getAudioParameters().audioProfile);
+    }
+    
+    if (this.workletNode) {
+      this.drainWorkletFrames();
+    }
+    
     // Get frequency and time domain data
-    this.analyser.getByteFrequencyData(this.dataArrayFrequency);
-    this.analyser.getByteTimeDomainData(this.dataArrayTime);
+    this.frameSource.readFrequencyData(this.dataArrayFrequency);
+    this.frameSource.readFloatFrequencyData(this.dataArrayFloatFrequency);
+    this.frameSource.readTimeDomainData(this.dataArrayTime);
+    this.frameSource.readFloatTimeDomainData(this.dataArrayFloatTime);
+    
+    // Meter the raw signal, then normalize what the visuals see
+    this.calculateLoudness(time);
+    this.applyNormalization();
     
     // Calculate statistics
     this.calculateFrequencyBands();
     this.calculateSpectralAnalysis();
+    this.calculateTimbre();
+    this.calculateHarmonicPercussive();
     this.calculateTimeAnalysis();
+    this.calculateMusicalAnalysis(time);
+    if (this.stereo) {
+      this.calculateStereoAnalysis();
+    }
     this.detectBeat();
-    this.updateHistory();
+    this.detectOnsets(time);
+    this.updateTempo(time);
+    this.updateStructure(time);
+    this.emitEvents(time);
+    this.updateHistory(time);
   }
   
   /**
-   * Calculate energy in different frequency bands
+   * Calculate K-weighted loudness, RMS and peak meters from float time-domain data
    */
-  calculateFrequencyBands() {
-    const nyquist = this.audioContext.sampleRate / 2;
-    const binWidth = nyquist / this.analyser.frequencyBinCount;
-    
-    // Reset band energies
-    Object.keys(this.frequencyBands).forEach(band => {
-      this.frequencyBands[band].energy = 0;
-    });
+  calculateLoudness(time) {
+    const samples = this.dataArrayFloatTime;
+    const deltaTime = this.lastLoudnessUpdate === null ? 0 : Math.max(0, time - this.lastLoudnessUpdate);
+    this.lastLoudnessUpdate = time;
     
-    // Accumulate energy in each band
-    for (let i = 0; i < this.dataArrayFrequency.length; i++) {
-      const frequency = i * binWidth;
-      const magnitude = this.dataArrayFrequency[i] / 255;
+    let sumSquares = 0;
+    let peak = 0;
+    let truePeak = 0;
+    for (let i = 0; i < samples.length; i++) {
+      const sample = samples[i];
+      sumSquares += sample * sample;
+      peak = Math.max(peak, Math.abs(sample));
       
-      Object.keys(this.frequencyBands).forEach(band => {
-        const bandConfig = this.frequencyBands[band];
-        if (frequency >= bandConfig.min && frequency < bandConfig.max) {
-          bandConfig.energy += magnitude;
+      // Catmull-Rom interpolation at 4x to catch inter-sample peaks
+      if (i > 0 && i < samples.length - 2) {
+        const p0 = samples[i - 1];
+        const p1 = sample;
+        const p2 = samples[i + 1];
+        const p3 = samples[i + 2];
+        for (let step = 1; step < 4; step++) {
+          const t = step / 4;
+          const value = 0.5 * ((2 * p1) + (-p0 + p2) * t +
+            (2 * p0 - 5 * p1 + 4 * p2 - p3) * t * t +
+            (-p0 + 3 * p1 - 3 * p2 + p3) * t * t * t);
+          truePeak = Math.max(truePeak, Math.abs(value));
         }
-      });
+      }
     }
+    truePeak = Math.max(truePeak, peak);
     
-    // Normalize band energies
-    Object.keys(this.frequencyBands).forEach(band => {
-      const binCount = Math.ceil(
-        (this.frequencyBands[band].max - this.frequencyBands[band].min) / 
-        (nyquist / this.analyser.frequencyBinCount)
-      );
-      this.frequencyBands[band].energy /= Math.max(binCount, 1);
+    const meters = this.meters;
+    meters.rms = this.toDecibels(sumSquares / samples.length, 10);
+    meters.peak = this.toDecibels(peak, 20);
+    meters.truePeak = this.toDecibels(truePeak, 20);
+    meters.maxTruePeak = Math.max(meters.maxTruePeak, meters.truePeak);
+    
+    // K-weighted mean square of this frame
+    this.loudnessFrames.push({ time, meanSquare: this.getKWeightedMeanSquare(samples) });
+    while (this.loudnessFrames.length > 0 && this.loudnessFrames[0].time < time - 3) {
+      this.loudnessFrames.shift();
+    }
+    
+    const momentary = this.getWindowMeanSquare(time - 0.4);
+    meters.momentary = this.toLoudness(momentary);
+    meters.shortTerm = this.toLoudness(this.getWindowMeanSquare(time - 3));
+    
+    // Integrated loudness: 400 ms blocks every 100 ms, absolute then relative gating
+    if (this.lastLoudnessBlockTime === null || time - this.lastLoudnessBlockTime >= 0.1) {
+      this.lastLoudnessBlockTime = time;
+      if (this.toLoudness(momentary) > -70) {
+        this.loudnessBlocks.push(momentary);
+        meters.integrated = this.getIntegratedLoudness();
+      }
+    }
+    
+    this.updateNormalizationGain(deltaTime);
+  }
+  
+  /**
+   * Run the two K-weighting biquads over a frame and return its mean square
+   */
+  getKWeightedMeanSquare(samples) {
+    let sum = 0;
+    let input = 0;
+    const stages = this.kWeighting;
+    const state = stages.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0 }));
+    
+    for (let i = 0; i < samples.length; i++) {
+      input = samples[i];
+      for (let s = 0; s < stages.length; s++) {
+        const { b0, b1, b2, a1, a2 } = stages[s];
+        const z = state[s];
+        const output = b0 * input + b1 * z.x1 + b2 * z.x2 - a1 * z.y1 - a2 * z.y2;
+        z.x2 = z.x1;
+        z.x1 = input;
+        z.y2 = z.y1;
+        z.y1 = output;
+        input = output;
+      }
+      sum += input * input;
+    }
+    
+    return sum / samples.length;
+  }
+  
+  /**
+   * Average K-weighted mean square of frames newer than the given time
+   */
+  getWindowMeanSquare(startTime) {
+    let sum = 0;
+    let count = 0;
+    for (let i = this.loudnessFrames.length - 1; i >= 0 && this.loudnessFrames[i].time >= startTime; i--) {
+      sum += this.loudnessFrames[i].meanSquare;
+      count++;
+    }
+    return count > 0 ? sum / count : 0;
+  }
+  
+  /**
+   * Gated integrated loudness over all collected blocks
+   */
+  getIntegratedLoudness() {
+    const blocks = this.loudnessBlocks;
+    const ungated = blocks.reduce((sum, value) => sum + value, 0) / blocks.length;
+    const relativeGate = this.toLoudness(ungated) - 10;
+    
+    let sum = 0;
+    let count = 0;
+    for (const block of blocks) {
+      if (this.toLoudness(block) > relativeGate) {
+        sum += block;
+        count++;
+      }
+    }
+    
+    return count > 0 ? this.toLoudness(sum / count) : -Infinity;
+  }
+  
+  /**
+   * Mean square to LUFS
+   */
+  toLoudness(meanSquare) {
+    return meanSquare > 0 ? -0.691 + 10 * Math.log10(meanSquare) : -Infinity;
+  }
+  
+  toDecibels(value, factor) {
+    return value > 0 ? factor * Math.log10(value) : -Infinity;
+  }
+  
+  /**
+   * Move the normalization gain toward the target loudness
+   */
+  updateNormalizationGain(deltaTime) {
+    const settings = this.normalization;
+    if (!settings.enabled || deltaTime <= 0) return;
+    
+    // Hold the gain through silence so fades and gaps are not pumped up
+    const loudness = this.meters.shortTerm;
+    if (loudness < settings.gate) return;
+    
+    const desired = Math.max(settings.minGain,
+      Math.min(settings.maxGain, settings.targetLoudness - loudness));
+    const timeConstant = desired < this.normalizationGain ? settings.attack : settings.release;
+    this.normalizationGain += (desired - this.normalizationGain) *
+      (1 - Math.exp(-deltaTime / timeConstant));
+  }
+  
+  /**
+   * Apply the normalization gain to the byte spectrum and waveform
+   */
+  applyNormalization() {
+    if (!this.normalization.enabled || this.normalizationGain === 0) return;
+    
+    // Byte spectrum is linear in dB, so gain becomes an offset; keep the noise floor at 0
+    const range = (this.frameSource.maxDecibels - this.frameSource.minDecibels) || 70;
+    const offset = this.normalizationGain * 255 / range;
+    for (let i = 0; i < this.dataArrayFrequency.length; i++) {
+      if (this.dataArrayFrequency[i] > 0) {
+        this.dataArrayFrequency[i] = Math.max(0, Math.min(255, Math.round(this.dataArrayFrequency[i] + offset)));
+      }
+    }
+    
+    const linearGain = Math.pow(10, this.normalizationGain / 20);
+    for (let i = 0; i < this.dataArrayTime.length; i++) {
+      this.dataArrayTime[i] = Math.max(0, Math.min(255,
+        Math.round(128 + (this.dataArrayTime[i] - 128) * linearGain)));
+    }
+  }
+  
+  /**
+   * Calculate energy in different frequency bands
+   */
+  calculateFrequencyBands() {
+    const layout = this.bandLayouts.default;
+    const energies = this.getLayoutEnergyArray('default');
+    
+    layout.bands.forEach((band, index) => {
+      if (this.frequencyBands[band.name]) {
+        const gain = this.bandEmphasis[band.name];
+        this.frequencyBands[band.name].energy = gain === undefined ? energies[index] : Math.min(1, energies[index] * gain);
+      }
     });
   }
   
@@ -120,8 +712,8 @@ class AudioAnalyzer {
    * Calculate spectral analysis metrics
    */
   calculateSpectralAnalysis() {
-    const nyquist = this.audioContext.sampleRate / 2;
-    const binWidth = nyquist / this.analyser.frequencyBinCount;
+    const nyquist = this.sampleRate / 2;
+    const binWidth = nyquist / this.frequencyBinCount;
     let weightedSum = 0;
     let totalMagnitude = 0;
     let maxMagnitude = 0;
@@ -159,7 +751,7 @@ class AudioAnalyzer {
     // Spectral flux (change in spectrum magnitude)
     if (this.frequencyHistory.length > 0) {
       let fluxSum = 0;
-      const prevData = this.frequencyHistory[this.frequencyHistory.length - 1];
+      const prevData = this.frequencyHistory.get(0);
       for (let i = 0; i < this.dataArrayFrequency.length; i++) {
         const diff = (this.dataArrayFrequency[i] / 255) - prevData[i];
         fluxSum += diff * diff;
@@ -168,6 +760,192 @@ class AudioAnalyzer {
     }
   }
   
+  /**
+   * Calculate rolloff, flatness, MFCCs and per-band contrast from the float spectrum
+   */
+  calculateTimbre() {
+    const power = this.powerSpectrum;
+    const binWidth = this.sampleRate / this.fftSize;
+    let totalPower = 0;
+    let logSum = 0;
+    
+    for (let i = 0; i < power.length; i++) {
+      power[i] = Math.pow(10, this.dataArrayFloatFrequency[i] / 10);
+      totalPower += power[i];
+      logSum += Math.log(power[i] + 1e-12);
+    }
+    
+    // Below -120 dB per bin there is nothing to describe
+    if (totalPower / power.length < 1e-12) {
+      totalPower = 0;
+    }
+    
+    // Rolloff: frequency below which rolloffPercent of the power lies
+    let cumulative = 0;
+    let rolloffBin = 0;
+    while (rolloffBin < power.length - 1 && cumulative + power[rolloffBin] < totalPower * this.rolloffPercent) {
+      cumulative += power[rolloffBin];
+      rolloffBin++;
+    }
+    this.stats.spectralRolloff = totalPower > 0 ? rolloffBin * binWidth : 0;
+    
+    // Flatness: geometric over arithmetic mean (1 for noise, near 0 for tones)
+    const arithmeticMean = totalPower / power.length;
+    this.stats.spectralFlatness = arithmeticMean > 0 ?
+      Math.min(1, Math.exp(logSum / power.length) / arithmeticMean) : 0;
+    
+    this.calculateMFCC();
+    this.calculateSpectralContrast();
+  }
+  
+  /**
+   * Mel-frequency cepstral coefficients: log mel filterbank energies through a DCT-II
+   */
+  calculateMFCC() {
+    if (!this.mfccFilterBank) {
+      this.mfccFilterBank = this.createMelFilterBank();
+    }
+    
+    const { filters, coefficients } = this.mfccOptions;
+    const logEnergies = this.mfccFilterBank.map(({ start, weights }) => {
+      let energy = 0;
+      for (let i = 0; i < weights.length; i++) {
+        energy += this.powerSpectrum[start + i] * weights[i];
+      }
+      return Math.log(Math.max(energy, 1e-10));
+    });
+    
+    const scale = Math.sqrt(2 / filters);
+    for (let k = 0; k < coefficients; k++) {
+      let sum = 0;
+      for (let m = 0; m < filters; m++) {
+        sum += logEnergies[m] * Math.cos(Math.PI * k * (m + 0.5) / filters);
+      }
+      this.stats.mfcc[k] = sum * scale;
+    }
+  }
+  
+  /**
+   * Triangular filters evenly spaced on the mel scale
+   * @returns {Array} - [{ start, weights }] with weights per bin from start
+   */
+  createMelFilterBank() {
+    const { filters, minFrequency, maxFrequency } = this.mfccOptions;
+    const mel = BandLayout.SCALES.mel;
+    const binWidth = this.sampleRate / this.fftSize;
+    const low = mel.forward(minFrequency);
+    const high = mel.forward(Math.min(maxFrequency, this.sampleRate / 2));
+    
+    const edges = [];
+    for (let i = 0; i < filters + 2; i++) {
+      edges.push(mel.inverse(low + (high - low) * i / (filters + 1)) / binWidth);
+    }
+    
+    const bank = [];
+    for (let m = 0; m < filters; m++) {
+      const [left, center, right] = [edges[m], edges[m + 1], edges[m + 2]];
+      const start = Math.ceil(left);
+      const end = Math.min(this.frequencyBinCount - 1, Math.floor(right));
+      const weights = new Float32Array(Math.max(0, end - start + 1));
+      for (let bin = start; bin <= end; bin++) {
+        weights[bin - start] = bin <= center ?
+          (bin - left) / Math.max(center - left, 1e-6) :
+          (right - bin) / Math.max(right - center, 1e-6);
+      }
+      bank.push({ start, weights });
+    }
+    return bank;
+  }
+  
+  /**
+   * Spectral contrast per frequency band: peak minus valley level in dB
+   */
+  calculateSpectralContrast() {
+    const binWidth = this.sampleRate / this.fftSize;
+    const floor = this.frameSource.minDecibels;
+    
+    Object.entries(this.frequencyBands).forEach(([name, band]) => {
+      const start = Math.max(1, Math.floor(band.min / binWidth));
+      const end = Math.min(this.frequencyBinCount, Math.ceil(band.max / binWidth));
+      const count = end - start;
+      if (count <= 0) {
+        this.stats.spectralContrast[name] = 0;
+        return;
+      }
+      
+      const levels = this.contrastScratch.subarray(0, count);
+      for (let i = 0; i < count; i++) {
+        levels[i] = Math.max(floor, this.dataArrayFloatFrequency[start + i]);
+      }
+      levels.sort();
+      
+      const take = Math.max(1, Math.round(count * this.contrastQuantile));
+      let valley = 0;
+      let peak = 0;
+      for (let i = 0; i < take; i++) {
+        valley += levels[i];
+        peak += levels[count - 1 - i];
+      }
+      this.stats.spectralContrast[name] = (peak - valley) / take;
+    });
+  }
+  
+  /**
+   * Split the spectrum into harmonic and percussive parts with soft masks.
+   * Sustained partials are smooth over time (median across frequencyHistory),
+   * hits are smooth across frequency (median over neighbouring bins).
+   */
+  calculateHarmonicPercussive() {
+    const history = this.frequencyHistory;
+    const bins = this.frequencyBinCount;
+    const timeTaps = Math.min(this.hpssKernel.time, history.length + 1);
+    const halfWidth = Math.floor(this.hpssKernel.frequency / 2);
+    let harmonicSum = 0;
+    let percussiveSum = 0;
+    
+    for (let k = 0; k < bins; k++) {
+      const magnitude = this.dataArrayFrequency[k] / 255;
+      
+      // Causal median over the current frame and the newest history frames
+      this.hpssScratch[0] = magnitude;
+      for (let j = 1; j < timeTaps; j++) {
+        this.hpssScratch[j] = history.get(j - 1)[k];
+      }
+      const harmonic = this.getScratchMedian(timeTaps);
+      
+      const low = Math.max(0, k - halfWidth);
+      const high = Math.min(bins - 1, k + halfWidth);
+      for (let i = low; i <= high; i++) {
+        this.hpssScratch[i - low] = this.dataArrayFrequency[i] / 255;
+      }
+      const percussive = this.getScratchMedian(high - low + 1);
+      
+      const harmonicPower = harmonic * harmonic;
+      const percussivePower = percussive * percussive;
+      const mask = harmonicPower + percussivePower > 0 ?
+        harmonicPower / (harmonicPower + percussivePower) : 0.5;
+      
+      this.harmonicSpectrum[k] = magnitude * mask;
+      this.percussiveSpectrum[k] = magnitude * (1 - mask);
+      harmonicSum += this.harmonicSpectrum[k];
+      percussiveSum += this.percussiveSpectrum[k];
+    }
+    
+    this.stats.harmonicEnergy = harmonicSum / bins;
+    this.stats.percussiveEnergy = percussiveSum / bins;
+    this.stats.harmonicRatio = harmonicSum + percussiveSum > 0 ?
+      harmonicSum / (harmonicSum + percussiveSum) : 0.5;
+  }
+  
+  /**
+   * Median of the first count values in hpssScratch (sorted in place)
+   */
+  getScratchMedian(count) {
+    const values = this.hpssScratch.subarray(0, count).sort();
+    const middle = Math.floor(count / 2);
+    return count % 2 === 0 ? (values[middle - 1] + values[middle]) / 2 : values[middle];
+  }
+  
   /**
    * Calculate time-domain analysis metrics
    */
@@ -219,60 +997,659 @@ class AudioAnalyzer {
   }
   
   /**
-   * Detect beats using energy-based method
+   * Calculate pitch, chromagram, chord and running key estimate
    */
-  detectBeat() {
-    const currentEnergy = this.stats.totalEnergy;
-    const energyThreshold = this.beatThreshold * this.getAverageEnergy();
-    const energyDifference = currentEnergy - this.prevEnergy;
+  calculateMusicalAnalysis(time) {
+    const deltaTime = this.lastMusicalUpdate === null ? 0 : Math.max(0, time - this.lastMusicalUpdate);
+    this.lastMusicalUpdate = time;
     
-    // Beat is detected when energy increases significantly above threshold
-    this.isBeat = (currentEnergy > energyThreshold && energyDifference > 0);
-    this.beatEnergy = currentEnergy;
+    this.detectPitch();
+    this.calculateChroma();
     
-    // Apply sensitivity multiplier for more aggressive beat detection
-    if (this.isBeat) {
-      this.beatEnergy *= this.beatSensitivity;
+    // Short window follows chord changes, long window settles on the key
+    const chordAlpha = deltaTime > 0 ? 1 - Math.exp(-deltaTime / this.chordSmoothing) : 1;
+    const keyAlpha = deltaTime > 0 ? 1 - Math.exp(-deltaTime / this.keySmoothing) : 1;
+    for (let i = 0; i < 12; i++) {
+      this.chordChroma[i] += (this.stats.chroma[i] - this.chordChroma[i]) * chordAlpha;
+      this.keyChroma[i] += (this.stats.chroma[i] - this.keyChroma[i]) * keyAlpha;
     }
     
-    this.prevEnergy = currentEnergy;
+    const chord = this.matchProfiles(this.chordChroma, CHORD_TEMPLATES);
+    this.stats.chord = chord ?
+      PITCH_CLASSES[chord.pitchClass] + (chord.mode === 'minor' ? 'm' : '') : null;
+    
+    const key = this.matchProfiles(this.keyChroma, KEY_PROFILES);
+    this.stats.key = key ? PITCH_CLASSES[key.pitchClass] : null;
+    this.stats.keyMode = key ? key.mode : null;
+    this.stats.keyConfidence = key ? Math.max(0, key.correlation) : 0;
   }
   
   /**
-   * Update history buffers
+   * Estimate fundamental frequency with the YIN algorithm on the time-domain buffer
    */
-  updateHistory() {
-    // Store normalized frequency data
-    const normalizedFrequency = Array.from(this.dataArrayFrequency).map(v => v / 255);
-    this.frequencyHistory.push(normalizedFrequency);
+  detectPitch() {
+    const buffer = this.dataArrayTime;
+    const windowSize = Math.floor(buffer.length / 2);
+    const minLag = Math.max(2, Math.floor(this.sampleRate / this.pitchRange.max));
+    const maxLag = Math.min(windowSize, Math.ceil(this.sampleRate / this.pitchRange.min));
+    
+    this.stats.pitch = 0;
+    this.stats.pitchConfidence = 0;
+    if (minLag >= maxLag || this.stats.variance < 1e-5) return;
     
-    // Store energy
-    this.energyHistory.push(this.stats.totalEnergy);
+    // Cumulative mean normalized difference function
+    const difference = new Float32Array(maxLag + 1);
+    let runningSum = 0;
+    difference[0] = 1;
+    for (let lag = 1; lag <= maxLag; lag++) {
+      let sum = 0;
+      for (let i = 0; i < windowSize; i++) {
+        const delta = (buffer[i] - buffer[i + lag]) / 128;
+        sum += delta * delta;
+      }
+      runningSum += sum;
+      difference[lag] = runningSum > 0 ? sum * lag / runningSum : 1;
+    }
     
-    // Keep history within max length
-    if (this.frequencyHistory.length > this.maxHistoryLength) {
-      this.frequencyHistory.shift();
-      this.energyHistory.shift();
+    // First dip below the threshold, followed down to its local minimum
+    let lag = minLag;
+    while (lag <= maxLag && difference[lag] >= this.pitchThreshold) lag++;
+    if (lag > maxLag) return;
+    while (lag + 1 <= maxLag && difference[lag + 1] < difference[lag]) lag++;
+    
+    let refinedLag = lag;
+    if (lag > 1 && lag < maxLag) {
+      const a = difference[lag - 1];
+      const b = difference[lag];
+      const c = difference[lag + 1];
+      const denominator = a - 2 * b + c;
+      if (denominator !== 0) {
+        refinedLag += 0.5 * (a - c) / denominator;
+      }
     }
+    
+    this.stats.pitch = this.sampleRate / refinedLag;
+    this.stats.pitchConfidence = Math.max(0, Math.min(1, 1 - difference[lag]));
   }
   
   /**
-   * Get average energy from history
+   * Fold spectrum energy into a 12-bin chromagram (C = 0), normalized to a peak of 1
    */
-  getAverageEnergy() {
-    if (this.energyHistory.length === 0) return 0;
-    return this.energyHistory.reduce((a, b) => a + b, 0) / this.energyHistory.length;
-  }
-  
+  calculateChroma() {
+    if (!this.chromaBinMap) {
+      const binWidth = (this.sampleRate / 2) / this.frequencyBinCount;
+      this.chromaBinMap = new Int8Array(this.frequencyBinCount).fill(-1);
+      for (let i = 1; i < this.frequencyBinCount; i++) {
+        const frequency = i * binWidth;
+        if (frequency >= this.chromaRange.min && frequency <= this.chromaRange.max) {
+          const semitone = Math.round(12 * Math.log2(frequency / 440)) + 9;
+          this.chromaBinMap[i] = ((semitone % 12) + 12) % 12;
+        }
+      }
+    }
+    
+    const chroma = this.stats.chroma;
+    chroma.fill(0);
+    for (let i = 0; i < this.dataArrayFloatFrequency.length; i++) {
+      const pitchClass = this.chromaBinMap[i];
+      if (pitchClass >= 0) {
+        chroma[pitchClass] += Math.pow(10, this.dataArrayFloatFrequency[i] / 10);
+      }
+    }
+    
+    const peak = Math.max(...chroma);
+    if (peak > 0) {
+      for (let i = 0; i < 12; i++) chroma[i] /= peak;
+    }
+  }
+  
+  /**
+   * Correlate a chroma vector with every rotation of major/minor profiles
+   * @returns {object|null} - { pitchClass, mode, correlation } of the best match
+   */
+  matchProfiles(chroma, profiles) {
+    let best = null;
+    
+    Object.keys(profiles).forEach(mode => {
+      const profile = profiles[mode];
+      for (let root = 0; root < 12; root++) {
+        const correlation = this.correlate(chroma, profile, root);
+        if (!best || correlation > best.correlation) {
+          best = { pitchClass: root, mode, correlation };
+        }
+      }
+    });
+    
+    return best && best.correlation > 0 ? best : null;
+  }
+  
+  /**
+   * Pearson correlation between a chroma vector and a profile rotated to the given root
+   */
+  correlate(chroma, profile, root) {
+    let chromaMean = 0;
+    let profileMean = 0;
+    for (let i = 0; i < 12; i++) {
+      chromaMean += chroma[i] / 12;
+      profileMean += profile[i] / 12;
+    }
+    
+    let covariance = 0;
+    let chromaVariance = 0;
+    let profileVariance = 0;
+    for (let i = 0; i < 12; i++) {
+      const a = chroma[(i + root) % 12] - chromaMean;
+      const b = profile[i] - profileMean;
+      covariance += a * b;
+      chromaVariance += a * a;
+      profileVariance += b * b;
+    }
+    
+    const denominator = Math.sqrt(chromaVariance * profileVariance);
+    return denominator > 0 ? covariance / denominator : 0;
+  }
+  
+  /**
+   * Detect beats using energy-based method
+   */
+  detectBeat() {
+    const currentEnergy = this.stats.totalEnergy;
+    const energyThreshold = this.beatThreshold * this.getAverageEnergy();
+    const energyDifference = currentEnergy - this.prevEnergy;
+    
+    // Beat is detected when energy increases significantly above threshold
+    this.isBeat = (currentEnergy > energyThreshold && energyDifference > 0);
+    this.beatEnergy = currentEnergy;
+    
+    // Apply sensitivity multiplier for more aggressive beat detection
+    if (this.isBeat) {
+      this.beatEnergy *= this.beatSensitivity;
+    }
+    
+    this.prevEnergy = currentEnergy;
+  }
+  
+  /**
+   * Detect onsets per stream using half-wave rectified spectral flux
+   * against a moving-median adaptive threshold
+   */
+  detectOnsets(time) {
+    if (this.frequencyHistory.length === 0) return;
+    
+    const prevData = this.frequencyHistory.get(0);
+    const binWidth = (this.sampleRate / 2) / this.frequencyBinCount;
+    
+    Object.keys(this.onsetStreams).forEach(stream => {
+      const state = this.onsetState[stream];
+      let fluxSum = 0;
+      let binCount = 0;
+      
+      this.onsetStreams[stream].forEach(band => {
+        const bandConfig = this.frequencyBands[band];
+        if (!bandConfig) return;
+        
+        const gain = this.bandEmphasis[band] === undefined ? 1 : this.bandEmphasis[band];
+        const startBin = Math.ceil(bandConfig.min / binWidth);
+        const endBin = Math.min(this.dataArrayFrequency.length, Math.ceil(bandConfig.max / binWidth));
+        for (let i = startBin; i < endBin; i++) {
+          const diff = (this.dataArrayFrequency[i] / 255) - prevData[i];
+          if (diff > 0) fluxSum += diff * gain;
+          binCount++;
+        }
+      });
+      
+      state.flux = binCount > 0 ? fluxSum / binCount : 0;
+      
+      const windowStart = time - this.onsetThresholdWindow;
+      while (state.fluxHistory.length > 0 && state.fluxHistory[0].time < windowStart) {
+        state.fluxHistory.shift();
+      }
+      
+      state.threshold = this.getMedian(state.fluxHistory.map(entry => entry.flux)) *
+        this.onsetThresholdMultiplier + this.onsetThresholdOffset;
+      state.isOnset = state.flux > state.threshold &&
+        time - state.lastOnsetTime >= this.onsetRefractoryPeriod;
+      
+      if (state.isOnset) {
+        state.lastOnsetTime = time;
+      }
+      
+      state.fluxHistory.push({ time, flux: state.flux });
+    });
+    
+    // Full-band flux feeds the tempo tracker
+    this.onsetStrength = this.onsetState.full.flux;
+  }
+  
+  /**
+   * Get median of an array of numbers
+   */
+  getMedian(values) {
+    if (values.length === 0) return 0;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ?
+      (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+  
+  /**
+   * Sample loudness, centroid and onset count into the structure history
+   */
+  updateStructure(time) {
+    this.frameStructureEvents = [];
+    if (this.onsetState.full.isOnset) {
+      this.structureOnsetCount++;
+    }
+    
+    if (time - this.lastStructureSample < this.structureResolution) return;
+    this.lastStructureSample = time;
+    
+    this.structureHistory.push({
+      time,
+      loudness: Math.max(-100, this.meters.momentary),
+      shortTerm: Math.max(-100, this.meters.shortTerm),
+      centroid: this.stats.spectralCentroid,
+      onsets: this.structureOnsetCount
+    });
+    this.structureOnsetCount = 0;
+    
+    while (this.structureHistory[0].time < time - this.structureWindow) {
+      this.structureHistory.shift();
+    }
+    
+    this.detectSection(time);
+  }
+  
+  /**
+   * Classify the current section from the structure history.
+   * Checked in priority order: silence, drop, build-up, breakdown.
+   */
+  detectSection(time) {
+    const thresholds = this.structureThresholds;
+    const history = this.structureHistory;
+    const recent = (from, to = time) => history.filter(sample => sample.time > time - from && sample.time <= to);
+    const mean = (samples, key) => samples.reduce((sum, sample) => sum + sample[key], 0) / Math.max(1, samples.length);
+    const span = time - history[0].time;
+    
+    // Silence, and the end of a track once silence has lasted long enough
+    const quiet = recent(thresholds.silenceDuration);
+    if (span >= thresholds.silenceDuration && quiet.every(sample => sample.loudness < thresholds.silence)) {
+      if (this.section.type !== 'silence') {
+        this.setSection('silence', time);
+      }
+      if (this.hasAudio && !this.trackEnded && time - this.section.start >= thresholds.trackEndDuration) {
+        this.trackEnded = true;
+        this.addStructureEvent({ type: 'trackEnd', time });
+      }
+      return;
+    }
+    if (quiet[quiet.length - 1].loudness < thresholds.silence) return;
+    
+    this.hasAudio = true;
+    this.trackEnded = false;
+    if (this.section.type === 'silence' || this.section.type === 'none') {
+      this.setSection('main', time);
+      return;
+    }
+    
+    // Only ramps and jumps measured entirely over audible material count,
+    // so a track starting after silence is neither a build-up nor a drop
+    const audible = (samples) => samples.length > 0 && samples.every(sample => sample.loudness >= thresholds.silence);
+    
+    // Drop: sudden return of energy, after a build-up or breakdown or by a wide margin.
+    // The jump is measured against the trend of the preceding seconds so steep risers do not count.
+    const preceding = recent(2.5, time - 0.5);
+    if (this.section.type !== 'drop' && audible(preceding)) {
+      const trend = Math.max(0, this.getSlope(preceding, 'loudness')) * 1.25;
+      const jump = mean(recent(0.5), 'loudness') - mean(preceding, 'loudness') - trend;
+      const primed = this.section.type === 'buildUp' || this.section.type === 'breakdown';
+      if (jump >= thresholds.dropJump && (primed || jump >= thresholds.dropJump * 1.5)) {
+        this.setSection('drop', time, { jump });
+        return;
+      }
+    }
+    
+    // Build-up: loudness and/or spectral centroid ramping upwards, measured within the current
+    // section so the fade-in of a drop or of a track after silence is not mistaken for one.
+    // The loudness ramp must show on both meters: momentary loudness swings with every beat,
+    // while the short-term meter lags and keeps rising for a few seconds after any step up.
+    const ramp = recent(thresholds.buildUpDuration);
+    if (span >= thresholds.buildUpDuration && audible(ramp)) {
+      const loudnessSlope = Math.min(this.getSlope(ramp, 'loudness'), this.getSlope(ramp, 'shortTerm'));
+      const centroidSlope = this.getSlope(ramp, 'centroid');
+      // Both rules need a real loudness rise; centroid jitter alone on steady material is not a build-up
+      const rising = (loudnessSlope >= thresholds.buildUpSlope && centroidSlope >= 0) ||
+        (centroidSlope >= thresholds.centroidSlope && loudnessSlope >= thresholds.centroidLoudnessSlope);
+      
+      if (this.section.type === 'buildUp') {
+        // A build-up lasts until it resolves into a drop or the energy turns back down
+        if (loudnessSlope < 0) {
+          this.setSection('main', time);
+          this.buildUpReleaseTime = time;
+        }
+        return;
+      }
+      const rearmed = time - this.buildUpReleaseTime >= thresholds.buildUpRearm;
+      if (rising && rearmed && time - this.section.start >= thresholds.buildUpDuration) {
+        this.setSection('buildUp', time, { loudnessSlope, centroidSlope });
+        return;
+      }
+    }
+    
+    // Breakdown: sparse passage well below the long-term level of the material before it
+    const passage = recent(thresholds.breakdownDuration);
+    const earlier = history
+      .filter(sample => sample.time <= time - thresholds.breakdownDuration && sample.loudness >= thresholds.silence)
+      .map(sample => sample.loudness);
+    if (audible(passage) && earlier.length * this.structureResolution >= thresholds.breakdownDuration) {
+      const depth = this.getMedian(earlier) - mean(passage, 'loudness');
+      const density = passage.reduce((sum, sample) => sum + sample.onsets, 0) / thresholds.breakdownDuration;
+      
+      if (this.section.type === 'breakdown') {
+        if (depth < thresholds.breakdownDepth / 2) {
+          this.setSection('main', time);
+        }
+      } else if (depth >= thresholds.breakdownDepth && density < thresholds.breakdownDensity) {
+        this.setSection('breakdown', time, { depth, density });
+      }
+    }
+  }
+  
+  /**
+   * Least-squares slope of a structure history field per second
+   */
+  getSlope(samples, key) {
+    if (samples.length < 2) return 0;
+    
+    const meanTime = samples.reduce((sum, sample) => sum + sample.time, 0) / samples.length;
+    const meanValue = samples.reduce((sum, sample) => sum + sample[key], 0) / samples.length;
+    let covariance = 0;
+    let variance = 0;
+    samples.forEach(sample => {
+      covariance += (sample.time - meanTime) * (sample[key] - meanValue);
+      variance += (sample.time - meanTime) * (sample.time - meanTime);
+    });
+    
+    return variance > 0 ? covariance / variance : 0;
+  }
+  
+  /**
+   * Enter a section and raise its event ('main' is the unmarked state and raises none)
+   */
+  setSection(type, time, details = {}) {
+    const previous = this.section.type;
+    this.section = { type, start: time };
+    
+    if (type === 'silence') {
+      this.silenceStartTime = time;
+      this.notifyListeners('silenceStart', { previous }, time);
+    } else if (previous === 'silence') {
+      this.notifyListeners('silenceEnd', { duration: time - this.silenceStartTime }, time);
+    }
+    
+    if (type !== 'main') {
+      this.addStructureEvent({ type, time, ...details });
+    }
+  }
+  
+  addStructureEvent(event) {
+    this.structureEvents.push(event);
+    this.frameStructureEvents.push(event);
+    if (this.structureEvents.length > this.maxStructureEvents) {
+      this.structureEvents.shift();
+    }
+    this.notifyListeners('structure', event, event.time);
+  }
+  
+  /**
+   * Track tempo and beat phase from the onset envelope
+   */
+  updateTempo(time) {
+    // Worklet frames arrive at a fixed hop with audio-clock timestamps;
+    // prefer them over the once-per-render-frame flux when available
+    if (this.workletNode) {
+      this.workletFrames.forEach(frame => {
+        this.onsetEnvelope.push({ time: frame.time, strength: frame.flux });
+      });
+    } else {
+      this.onsetEnvelope.push({ time, strength: this.onsetStrength });
+    }
+    
+    const windowStart = time - this.tempoWindow;
+    while (this.onsetEnvelope.length > 0 && this.onsetEnvelope[0].time < windowStart) {
+      this.onsetEnvelope.shift();
+    }
+    
+    if (time - this.lastTempoUpdate >= this.tempoUpdateInterval) {
+      this.estimateTempo(time);
+      this.lastTempoUpdate = time;
+    }
+    
+    // Advance the beat grid and derive the phase within the current beat
+    const tempo = this.tempo;
+    if (tempo.period > 0) {
+      while (time >= tempo.nextBeatTime) {
+        tempo.lastBeatTime = tempo.nextBeatTime;
+        tempo.nextBeatTime += tempo.period;
+      }
+      tempo.phase = (time - tempo.lastBeatTime) / tempo.period;
+    }
+  }
+  
+  /**
+   * Estimate BPM by autocorrelation of the onset envelope and
+   * align the beat grid with a comb filter over candidate phases
+   */
+  estimateTempo(time) {
+    if (this.onsetEnvelope.length < 2) return;
+    
+    const span = time - this.onsetEnvelope[0].time;
+    if (span < (60 / this.tempoRange.min) * 2) return;
+    
+    // Resample the irregular per-frame envelope onto a uniform grid
+    const resolution = this.tempoResolution;
+    const length = Math.ceil(span * resolution) + 1;
+    const envelope = new Float32Array(length);
+    const gridStart = time - (length - 1) / resolution;
+    for (const sample of this.onsetEnvelope) {
+      const index = Math.round((sample.time - gridStart) * resolution);
+      if (index >= 0 && index < length) {
+        envelope[index] = Math.max(envelope[index], sample.strength);
+      }
+    }
+    
+    let mean = 0;
+    for (let i = 0; i < length; i++) mean += envelope[i];
+    mean /= length;
+    for (let i = 0; i < length; i++) envelope[i] -= mean;
+    
+    let zeroLag = 0;
+    for (let i = 0; i < length; i++) zeroLag += envelope[i] * envelope[i];
+    zeroLag /= length;
+    if (zeroLag <= 0) return;
+    
+    const minLag = Math.max(1, Math.floor((60 / this.tempoRange.max) * resolution));
+    const maxLag = Math.min(length - 1, Math.ceil((60 / this.tempoRange.min) * resolution));
+    const correlation = new Float32Array(maxLag + 2);
+    
+    for (let lag = minLag - 1; lag <= maxLag + 1 && lag < length; lag++) {
+      let sum = 0;
+      for (let i = 0; i + lag < length; i++) {
+        sum += envelope[i] * envelope[i + lag];
+      }
+      correlation[lag] = sum / (length - lag);
+    }
+    
+    // Pick the strongest lag, gently preferring tempos near 120 BPM
+    let bestLag = 0;
+    let bestScore = -Infinity;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      const bpm = (60 * resolution) / lag;
+      const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120), 2));
+      const score = correlation[lag] * prior;
+      if (score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+    if (bestLag === 0 || correlation[bestLag] <= 0) return;
+    
+    // Parabolic interpolation for sub-sample lag precision
+    let refinedLag = bestLag;
+    if (bestLag > minLag && bestLag < maxLag) {
+      const a = correlation[bestLag - 1];
+      const b = correlation[bestLag];
+      const c = correlation[bestLag + 1];
+      const denominator = a - 2 * b + c;
+      if (denominator !== 0) {
+        refinedLag += Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denominator));
+      }
+    }
+    
+    const period = refinedLag / resolution;
+    const confidence = Math.max(0, Math.min(1, correlation[bestLag] / zeroLag));
+    
+    // Comb filter: find the offset from the newest sample that lines up the most onsets
+    let bestOffset = 0;
+    let bestOffsetScore = -Infinity;
+    for (let offset = 0; offset < bestLag; offset++) {
+      let score = 0;
+      for (let index = length - 1 - offset; index >= 0; index -= refinedLag) {
+        score += envelope[Math.round(index)] || 0;
+      }
+      if (score > bestOffsetScore) {
+        bestOffsetScore = score;
+        bestOffset = offset;
+      }
+    }
+    
+    const tempo = this.tempo;
+    const bpm = 60 / period;
+    tempo.bpm = tempo.bpm > 0 && Math.abs(bpm - tempo.bpm) / tempo.bpm < 0.05 ?
+      tempo.bpm * 0.8 + bpm * 0.2 : bpm;
+    tempo.period = 60 / tempo.bpm;
+    tempo.confidence = confidence;
+    tempo.lastBeatTime = time - bestOffset / resolution;
+    tempo.nextBeatTime = tempo.lastBeatTime + tempo.period;
+  }
+  
+  /**
+   * (Re)allocate the history ring buffers; existing history is discarded
+   */
+  allocateHistory() {
+    const frames = seconds => Math.max(this.maxHistoryLength, Math.ceil(seconds * this.historyFrameRate));
+    
+    this.frequencyHistory = new HistoryBuffer(frames(this.spectrogramDuration), this.frequencyBinCount);
+    this.featureHistory = {};
+    this.historyFeatures.forEach(name => {
+      this.featureHistory[name] = new HistoryBuffer(frames(this.featureHistoryDuration));
+    });
+    this.energyHistory = this.featureHistory.totalEnergy;
+  }
+  
+  /**
+   * Configure how much history is kept
+   * @param {object} durations - { spectrogram, features } in seconds, and optionally
+   *   the expected frameRate (updates per second) used to size the buffers
+   */
+  setHistoryDuration({ spectrogram = this.spectrogramDuration, features = this.featureHistoryDuration, frameRate = this.historyFrameRate } = {}) {
+    this.spectrogramDuration = spectrogram;
+    this.featureHistoryDuration = features;
+    this.historyFrameRate = frameRate;
+    this.allocateHistory();
+  }
+  
+  /**
+   * Update history buffers (writes into preallocated rows, no per-frame allocation)
+   */
+  updateHistory(time) {
+    // Store normalized frequency data
+    const row = this.frequencyHistory.next(time);
+    for (let i = 0; i < row.length; i++) {
+      row[i] = this.dataArrayFrequency[i] / 255;
+    }
+    
+    // Store feature values
+    this.historyFeatures.forEach(name => {
+      const value = this.getFeatureValue(name);
+      this.featureHistory[name].next(time)[0] = isFinite(value) ? value : -100;
+    });
+  }
+  
+  /**
+   * Get average energy over the beat detection window
+   */
+  getAverageEnergy() {
+    return this.energyHistory.mean(Math.min(this.maxHistoryLength, this.energyHistory.length));
+  }
+  
   /**
-   * Get standard deviation of energy
+   * Get standard deviation of energy over the beat detection window
    */
   getEnergyStandardDeviation() {
-    if (this.energyHistory.length === 0) return 0;
+    const count = Math.min(this.maxHistoryLength, this.energyHistory.length);
+    if (count === 0) return 0;
     const avg = this.getAverageEnergy();
-    const variance = this.energyHistory.reduce((sum, energy) => 
-      sum + Math.pow(energy - avg, 2), 0) / this.energyHistory.length;
-    return Math.sqrt(variance);
+    let variance = 0;
+    for (let age = 0; age < count; age++) {
+      variance += Math.pow(this.energyHistory.get(age)[0] - avg, 2);
+    }
+    return Math.sqrt(variance / count);
+  }
+  
+  /**
+   * Get a spectrogram window, oldest frame first
+   * @param {number} seconds - Length of the window (clamped to the history kept)
+   * @returns {object} - { data, frames, bins, times } with data a frames x bins
+   *   Float32Array of normalized 0-1 magnitudes
+   */
+  getSpectrogram(seconds = this.spectrogramDuration) {
+    const history = this.frequencyHistory;
+    const frames = history.countWithin(seconds);
+    return {
+      data: history.copyWindow(frames),
+      frames,
+      bins: history.width,
+      times: history.copyTimes(frames)
+    };
+  }
+  
+  /**
+   * Get a feature's recent values, oldest first
+   * @param {string} name - One of historyFeatures
+   * @param {number} seconds - Length of the window (clamped to the history kept)
+   * @returns {object|null} - { values, times }
+   */
+  getFeatureSeries(name, seconds = this.featureHistoryDuration) {
+    const history = this.featureHistory[name];
+    if (!history) {
+      console.error(`Feature is not recorded in history: ${name}`);
+      return null;
+    }
+    
+    const frames = history.countWithin(seconds);
+    return { values: history.copyWindow(frames), times: history.copyTimes(frames) };
+  }
+  
+  /**
+   * Get a feature's mean over the last seconds, e.g. the energy of the last 8 bars
+   * with getFeatureAverage('totalEnergy', analyzer.getBarsDuration(8))
+   */
+  getFeatureAverage(name, seconds) {
+    const history = this.featureHistory[name];
+    if (!history) {
+      console.error(`Feature is not recorded in history: ${name}`);
+      return 0;
+    }
+    return history.mean(history.countWithin(seconds));
+  }
+  
+  /**
+   * Duration of a number of bars at the tracked tempo (120 BPM until one is found)
+   */
+  getBarsDuration(bars, beatsPerBar = 4) {
+    const bpm = this.tempo.bpm > 0 ? this.tempo.bpm : 120;
+    return bars * beatsPerBar * 60 / bpm;
   }
   
   /**
@@ -316,85 +1693,1735 @@ class AudioAnalyzer {
   }
   
   /**
-   * Check if currently detecting a beat
+   * Define a band layout from explicit named bands
+   * @param {string} name - Layout name
+   * @param {Array} bands - [{ name, min, max, weight }] in Hz
+   * @returns {BandLayout} - The registered layout
    */
-  isBeatDetected() {
-    return this.isBeat;
+  defineBandLayout(name, bands) {
+    this.bandLayouts[name] = new BandLayout(bands);
+    delete this.layoutEnergyCache[name];
+    return this.bandLayouts[name];
   }
   
   /**
-   * Get beat energy
+   * Generate and register a band layout on a frequency scale
+   * @param {string} name - Layout name
+   * @param {object} options - See BandLayout.generate
+   * @returns {BandLayout} - The registered layout
    */
-  getBeatEnergy() {
-    return this.beatEnergy;
+  createBandLayout(name, options) {
+    this.bandLayouts[name] = BandLayout.generate(options);
+    delete this.layoutEnergyCache[name];
+    return this.bandLayouts[name];
   }
   
   /**
-   * Set beat detection threshold (0-1)
+   * Remove a band layout ('default' cannot be removed)
    */
-  setBeatThreshold(threshold) {
-    this.beatThreshold = Math.max(0, Math.min(1, threshold));
+  removeBandLayout(name) {
+    if (name === 'default') return false;
+    delete this.layoutEnergyCache[name];
+    return delete this.bandLayouts[name];
   }
   
   /**
-   * Set beat sensitivity multiplier
+   * Get a registered band layout by name
    */
-  setBeatSensitivity(sensitivity) {
-    this.beatSensitivity = Math.max(0.5, Math.min(2, sensitivity));
+  getBandLayout(name) {
+    return this.bandLayouts[name] || null;
   }
   
   /**
-   * Get all statistics
+   * Get names of all registered band layouts
    */
-  getStats() {
-    return { ...this.stats };
+  getBandLayoutNames() {
+    return Object.keys(this.bandLayouts);
   }
   
   /**
-   * Get frequency response at specific frequency
+   * Get energies of a layout for the current frame, in band order
+   * @returns {Float32Array|null} - Energies (0-1), or null for an unknown layout
    */
-  getFrequencyResponse(frequency) {
-    const nyquist = this.audioContext.sampleRate / 2;
-    const binIndex = Math.floor((frequency / nyquist) * this.dataArrayFrequency.length);
-    const clampedIndex = Math.max(0, Math.min(this.dataArrayFrequency.length - 1, binIndex));
-    return this.dataArrayFrequency[clampedIndex] / 255;
+  getLayoutEnergyArray(name) {
+    const layout = this.bandLayouts[name];
+    if (!layout) return null;
+    
+    // Computed at most once per frame per layout
+    let cached = this.layoutEnergyCache[name];
+    if (!cached || cached.values.length !== layout.bands.length) {
+      cached = this.layoutEnergyCache[name] = {
+        frame: -1,
+        values: new Float32Array(layout.bands.length)
+      };
+    }
+    if (cached.frame !== this.frameCount) {
+      layout.compute(this.dataArrayFrequency, this.sampleRate, cached.values);
+      cached.frame = this.frameCount;
+    }
+    
+    return cached.values;
   }
   
   /**
-   * Get frequency range energy (useful for custom band analysis)
+   * Get energies of a layout for the current frame keyed by band name
+   * @returns {object|null} - { bandName: energy }, or null for an unknown layout
    */
-  getFrequencyRangeEnergy(minFreq, maxFreq) {
-    const nyquist = this.audioContext.sampleRate / 2;
-    const binWidth = nyquist / this.analyser.frequencyBinCount;
-    const minBin = Math.floor(minFreq / binWidth);
-    const maxBin = Math.ceil(maxFreq / binWidth);
-    
-    let energy = 0;
-    for (let i = minBin; i < maxBin && i < this.dataArrayFrequency.length; i++) {
-      energy += this.dataArrayFrequency[i] / 255;
-    }
-    
-    return energy / (maxBin - minBin);
+  getLayoutEnergies(name) {
+    const values = this.getLayoutEnergyArray(name);
+    return values ? this.bandLayouts[name].toObject(values) : null;
   }
   
   /**
-   * Get analyser node for direct access
+   * Check if currently detecting a beat
    */
-  getAnalyser() {
-    return this.analyser;
+  isBeatDetected() {
+    return this.isBeat;
   }
   
   /**
-   * Dispose resources
+   * Get beat energy
    */
-  dispose() {
-    this.frequencyHistory = [];
-    this.energyHistory = [];
-    this.peakHistory = [];
+  getBeatEnergy() {
+    return this.beatEnergy;
+  }
+  
+  /**
+   * Get onset flags for every stream ('full', 'kick', 'snare', 'hihat')
+   */
+  getOnsets() {
+    const onsets = {};
+    Object.keys(this.onsetState).forEach(stream => {
+      onsets[stream] = this.onsetState[stream].isOnset;
+    });
+    return onsets;
+  }
+  
+  /**
+   * Check if an onset was detected this frame in the given stream
+   */
+  isOnsetDetected(stream = 'full') {
+    return this.onsetState[stream]?.isOnset || false;
+  }
+  
+  /**
+   * Get rectified spectral flux of the given stream
+   */
+  getOnsetStrength(stream = 'full') {
+    return this.onsetState[stream]?.flux || 0;
+  }
+  
+  /**
+   * Set minimum time between onsets in the same stream (seconds)
+   */
+  setOnsetRefractoryPeriod(seconds) {
+    this.onsetRefractoryPeriod = Math.max(0, seconds);
+  }
+  
+  /**
+   * Get worklet feature frames received during the last update
+   * @returns {Array} - [{ time, rms, peak, centroid, flux, onset, low, mid, high }]
+   */
+  getWorkletFrames() {
+    return this.workletFrames;
+  }
+  
+  /**
+   * Get audio-clock times of onsets the worklet detected since the last update
+   */
+  getWorkletOnsets() {
+    return this.workletFrames.filter(frame => frame.onset).map(frame => frame.time);
+  }
+  
+  /**
+   * Get the current song section
+   * @returns {object} - { type, start } with type none, silence, main, buildUp, drop or breakdown
+   */
+  getSection() {
+    return { ...this.section };
+  }
+  
+  /**
+   * Get structure events (buildUp, drop, breakdown, silence, trackEnd) raised after a time
+   * @param {number} since - Audio-clock time in seconds
+   */
+  getStructureEvents(since = -Infinity) {
+    return this.structureEvents.filter(event => event.time > since);
+  }
+  
+  /**
+   * Adjust structure detection thresholds (see structureThresholds)
+   */
+  setStructureThresholds(thresholds) {
+    this.structureThresholds = { ...this.structureThresholds, ...thresholds };
+  }
+  
+  /**
+   * Get estimated tempo in beats per minute (0 until enough history)
+   */
+  getTempo() {
+    return this.tempo.bpm;
+  }
+  
+  /**
+   * Get position within the current beat (0 on the beat, approaching 1 before the next)
+   */
+  getBeatPhase() {
+    return this.tempo.phase;
+  }
+  
+  /**
+   * Get tempo estimate confidence (0-1)
+   */
+  getTempoConfidence() {
+    return this.tempo.confidence;
+  }
+  
+  /**
+   * Forget the tempo estimate and beat grid (e.g. when a new track starts)
+   */
+  resetTempo() {
+    this.lastTempoUpdate = -Infinity;
+    this.tempo = {
+      bpm: 0,
+      period: 0,
+      confidence: 0,
+      phase: 0,
+      lastBeatTime: 0,
+      nextBeatTime: 0
+    };
+  }
+  
+  /**
+   * Get predicted time of the next beat on the audio clock
+   */
+  getNextBeatTime() {
+    return this.tempo.nextBeatTime;
+  }
+  
+  /**
+   * Set beat detection threshold (0-3): the multiple of the recent average energy a
+   * rising frame must exceed. Below 1 nearly every rise counts; above 1 small transients are ignored.
+   */
+  setBeatThreshold(threshold) {
+    this.beatThreshold = Math.max(0, Math.min(3, threshold));
+  }
+  
+  /**
+   * Set beat sensitivity multiplier
+   */
+  setBeatSensitivity(sensitivity) {
+    this.beatSensitivity = Math.max(0.5, Math.min(2, sensitivity));
+  }
+  
+  /**
+   * Set the spectrum smoothing of the frame source (and stereo analysers)
+   * @param {number} value - 0 (no smoothing) to 0.99
+   */
+  setSmoothingTimeConstant(value) {
+    const smoothing = Math.max(0, Math.min(0.99, value));
+    const targets = [this.analyser || this.frameSource.spectrum];
+    if (this.stereo) {
+      targets.push(this.stereo.left, this.stereo.right);
+    }
+    targets.forEach(target => {
+      if (target && target.smoothingTimeConstant !== smoothing) {
+        target.smoothingTimeConstant = smoothing;
+      }
+    });
+  }
+  
+  /**
+   * Apply a mood's audio response profile (MoodEngine.getAudioParameters().audioProfile).
+   * Called every frame while following a MoodEngine, so profiles interpolate with its transitions.
+   * @param {object} profile - { beatThreshold, beatSensitivity, smoothingTimeConstant,
+   *   onsetCooldown (s), emphasizedBands: { band: gain } }; missing settings are left as they are,
+   *   but bands left out of a given emphasizedBands map go back to a gain of 1
+   */
+  applyAudioProfile(profile) {
+    if (profile.beatThreshold !== undefined) this.setBeatThreshold(profile.beatThreshold);
+    if (profile.beatSensitivity !== undefined) this.setBeatSensitivity(profile.beatSensitivity);
+    if (profile.smoothingTimeConstant !== undefined) this.setSmoothingTimeConstant(profile.smoothingTimeConstant);
+    if (profile.onsetCooldown !== undefined) this.setOnsetRefractoryPeriod(profile.onsetCooldown);
+    if (profile.emphasizedBands) {
+      Object.keys(this.frequencyBands).forEach(band => {
+        this.bandEmphasis[band] = 1;
+      });
+      Object.entries(profile.emphasizedBands).forEach(([band, gain]) => {
+        this.bandEmphasis[band] = Math.max(0, gain);
+      });
+    }
+  }
+  
+  /**
+   * Follow a MoodEngine: its interpolated audio profile is applied at the start of every update
+   * @param {MoodEngine|null} engine - Engine to follow, null to stop (current settings are kept)
+   */
+  setMoodEngine(engine) {
+    this.moodEngine = engine;
+  }
+  
+  /**
+   * Get all statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      chroma: this.stats.chroma.slice(),
+      mfcc: this.stats.mfcc.slice(),
+      spectralContrast: { ...this.stats.spectralContrast }
+    };
+  }
+  
+  /**
+   * Get timbre descriptors
+   * @returns {object} - { mfcc, rolloff, flatness, contrast }
+   */
+  getTimbre() {
+    return {
+      mfcc: this.stats.mfcc.slice(),
+      rolloff: this.stats.spectralRolloff,
+      flatness: this.stats.spectralFlatness,
+      contrast: { ...this.stats.spectralContrast }
+    };
+  }
+  
+  /**
+   * Set the median filter lengths of the harmonic/percussive split
+   * @param {object} kernel - { time (frames), frequency (bins) }; longer kernels separate
+   *   more cleanly but react more slowly
+   */
+  setHarmonicPercussiveKernel({ time = this.hpssKernel.time, frequency = this.hpssKernel.frequency } = {}) {
+    this.hpssKernel = {
+      time: Math.max(1, Math.round(time)),
+      frequency: Math.max(1, Math.round(frequency))
+    };
+    // Frequency windows are centred, so an even length still spans 2 * floor(length / 2) + 1 bins
+    const frequencyTaps = 2 * Math.floor(this.hpssKernel.frequency / 2) + 1;
+    this.hpssScratch = new Float32Array(Math.max(this.hpssKernel.time, frequencyTaps));
+  }
+  
+  /**
+   * Get the harmonic/percussive split of the current frame
+   * @returns {object} - { harmonic, percussive, harmonicRatio, harmonicSpectrum, percussiveSpectrum }
+   *   (spectra are normalized 0-1 magnitudes, reused between frames)
+   */
+  getHarmonicPercussive() {
+    return {
+      harmonic: this.stats.harmonicEnergy,
+      percussive: this.stats.percussiveEnergy,
+      harmonicRatio: this.stats.harmonicRatio,
+      harmonicSpectrum: this.harmonicSpectrum,
+      percussiveSpectrum: this.percussiveSpectrum
+    };
+  }
+  
+  /**
+   * Get loudness meters
+   * @returns {object} - { momentary, shortTerm, integrated, rms, peak, truePeak, maxTruePeak, gain }
+   */
+  getLoudness() {
+    return { ...this.meters, gain: this.normalizationGain };
+  }
+  
+  /**
+   * Set the loudness the normalization stage aims for (LUFS)
+   */
+  setNormalizationTarget(loudness) {
+    this.normalization.targetLoudness = Math.max(-40, Math.min(0, loudness));
+  }
+  
+  /**
+   * Enable or disable adaptive gain normalization
+   */
+  setNormalizationEnabled(enabled) {
+    this.normalization.enabled = enabled;
+    if (!enabled) {
+      this.normalizationGain = 0;
+    }
+  }
+  
+  /**
+   * Reset integrated loudness and peak hold (e.g. when a new track starts)
+   */
+  resetLoudness() {
+    this.loudnessFrames = [];
+    this.loudnessBlocks = [];
+    this.lastLoudnessBlockTime = null;
+    this.meters.integrated = -Infinity;
+    this.meters.maxTruePeak = -Infinity;
+  }
+  
+  /**
+   * Get dominant pitch estimate
+   * @returns {object} - { frequency, confidence, note, cents } (frequency 0 when unvoiced)
+   */
+  getPitch() {
+    const frequency = this.stats.pitch;
+    if (frequency <= 0) {
+      return { frequency: 0, confidence: 0, note: null, cents: 0 };
+    }
+    
+    const midi = 69 + 12 * Math.log2(frequency / 440);
+    const nearest = Math.round(midi);
+    return {
+      frequency,
+      confidence: this.stats.pitchConfidence,
+      note: PITCH_CLASSES[((nearest % 12) + 12) % 12] + (Math.floor(nearest / 12) - 1),
+      cents: Math.round((midi - nearest) * 100)
+    };
+  }
+  
+  /**
+   * Get the current 12-bin chromagram (index 0 = C)
+   */
+  getChroma() {
+    return this.stats.chroma.slice();
+  }
+  
+  /**
+   * Get the chord estimated over the short chroma window (e.g. 'Am'), or null
+   */
+  getChord() {
+    return this.stats.chord;
+  }
+  
+  /**
+   * Get the running key estimate
+   * @returns {object} - { key, mode, confidence }
+   */
+  getKey() {
+    return {
+      key: this.stats.key,
+      mode: this.stats.keyMode,
+      confidence: this.stats.keyConfidence
+    };
+  }
+  
+  /**
+   * Get a hue (0-360) for the current key, placed on the circle of fifths so
+   * related keys get neighbouring colours; minor keys share their relative major's hue
+   */
+  getKeyHue() {
+    if (!this.stats.key) return 0;
+    
+    let pitchClass = PITCH_CLASSES.indexOf(this.stats.key);
+    if (this.stats.keyMode === 'minor') {
+      pitchClass = (pitchClass + 3) % 12;
+    }
+    return ((pitchClass * 7) % 12) * 30;
+  }
+  
+  /**
+   * Get stereo readings (all neutral while stereo analysis is disabled)
+   * @returns {object} - { leftLevel, rightLevel, balance, correlation, width, bandPan }
+   */
+  getStereo() {
+    return { ...this.stereoStats, bandPan: { ...this.stereoStats.bandPan } };
+  }
+  
+  /**
+   * Get goniometer points as interleaved (side, mid) pairs, or null while stereo is disabled.
+   * The array is reused between frames.
+   */
+  getLissajousPoints() {
+    return this.stereo ? this.stereo.lissajous : null;
+  }
+  
+  /**
+   * Get a snapshot of the current frame's features
+   * @param {number} time - Time of the frame in seconds
+   */
+  getFeatureFrame(time) {
+    return {
+      time,
+      ...this.getStats(),
+      bands: this.getAllBandEnergies(),
+      isBeat: this.isBeat,
+      onsets: this.getOnsets(),
+      tempo: this.tempo.bpm,
+      tempoConfidence: this.tempo.confidence,
+      beatPhase: this.tempo.phase,
+      section: this.section.type,
+      structureEvents: this.frameStructureEvents
+    };
+  }
+  
+  /**
+   * Get frequency response at specific frequency
+   */
+  getFrequencyResponse(frequency) {
+    const nyquist = this.sampleRate / 2;
+    const binIndex = Math.floor((frequency / nyquist) * this.dataArrayFrequency.length);
+    const clampedIndex = Math.max(0, Math.min(this.dataArrayFrequency.length - 1, binIndex));
+    return this.dataArrayFrequency[clampedIndex] / 255;
+  }
+  
+  /**
+   * Get frequency range energy (useful for custom band analysis)
+   */
+  getFrequencyRangeEnergy(minFreq, maxFreq) {
+    const nyquist = this.sampleRate / 2;
+    const binWidth = nyquist / this.frequencyBinCount;
+    const minBin = Math.floor(minFreq / binWidth);
+    const maxBin = Math.ceil(maxFreq / binWidth);
+    
+    let energy = 0;
+    for (let i = minBin; i < maxBin && i < this.dataArrayFrequency.length; i++) {
+      energy += this.dataArrayFrequency[i] / 255;
+    }
+    
+    return energy / (maxBin - minBin);
+  }
+  
+  /**
+   * Get analyser node for direct access (null for non-Web Audio sources)
+   */
+  getAnalyser() {
+    return this.analyser;
+  }
+  
+  /**
+   * Add listener for analyzer events
+   * Events: beat, onset, bandPeak, silenceStart, silenceEnd, tempoChange, structure, trigger
+   * @param {function} callback - Receives { type, data, timestamp } with timestamp in audio-clock seconds
+   * @param {string} eventType - Only receive this event type (all types when omitted)
+   */
+  addListener(callback, eventType = null) {
+    if (typeof callback === 'function') {
+      this.listeners.push({ callback, eventType });
+    }
+  }
+  
+  /**
+   * Remove listener
+   * @param {function} callback - Callback function to remove
+   */
+  removeListener(callback) {
+    this.listeners = this.listeners.filter(listener => listener.callback !== callback);
+  }
+  
+  /**
+   * Notify listeners of an analyzer event
+   * @param {string} eventType - Type of event
+   * @param {object} data - Event data
+   * @param {number} time - Audio-clock time of the event in seconds
+   */
+  notifyListeners(eventType, data, time) {
+    this.listeners.forEach(({ callback, eventType: filter }) => {
+      if (filter && filter !== eventType) return;
+      try {
+        callback({
+          type: eventType,
+          data: data,
+          timestamp: time
+        });
+      } catch (error) {
+        console.error('Error in analyzer listener callback:', error);
+      }
+    });
+  }
+  
+  /**
+   * Add a threshold trigger that fires a 'trigger' event when a feature crosses it
+   * @param {object} trigger - { name, feature, threshold, direction, hysteresis, cooldown }
+   *   feature: band name, stats/meters key, or function(analyzer) returning a number;
+   *   direction: 'rising', 'falling' or 'both'; hysteresis: distance back past the
+   *   threshold needed to re-arm (below it for rising, above it for falling);
+   *   cooldown: minimum seconds between firings
+   * @returns {boolean} - Whether the trigger was added
+   */
+  addTrigger({ name, feature, threshold, direction = 'rising', hysteresis = 0.05, cooldown = 0 }) {
+    if (!name || this.triggers[name]) {
+      console.error(`Invalid or duplicate trigger name: ${name}`);
+      return false;
+    }
+    if (typeof threshold !== 'number' || !['rising', 'falling', 'both'].includes(direction)) {
+      console.error(`Invalid threshold or direction for trigger: ${name}`);
+      return false;
+    }
+    if (typeof feature !== 'function' && this.getFeatureValue(feature) === undefined) {
+      console.error(`Unknown trigger feature: ${feature}`);
+      return false;
+    }
+    
+    this.triggers[name] = {
+      name,
+      feature,
+      threshold,
+      direction,
+      hysteresis,
+      cooldown,
+      armed: null, // { rising, falling }, unknown until the first frame
+      lastFired: -Infinity
+    };
+    return true;
+  }
+  
+  /**
+   * Remove a trigger by name
+   */
+  removeTrigger(name) {
+    delete this.triggers[name];
+  }
+  
+  /**
+   * Resolve a trigger feature to its current value
+   */
+  getFeatureValue(feature) {
+    if (typeof feature === 'function') return feature(this);
+    if (this.frequencyBands[feature]) return this.frequencyBands[feature].energy;
+    if (typeof this.stats[feature] === 'number') return this.stats[feature];
+    if (typeof this.meters[feature] === 'number') return this.meters[feature];
+    if (feature === 'onsetStrength') return this.onsetStrength;
+    return undefined;
+  }
+  
+  /**
+   * Raise edge-detected events for the frame just analyzed
+   */
+  emitEvents(time) {
+    // isBeat stays high for several frames; only the rising edge is a beat
+    if (this.isBeat && !this.wasBeat) {
+      this.notifyListeners('beat', { energy: this.beatEnergy, bpm: this.tempo.bpm }, time);
+    }
+    this.wasBeat = this.isBeat;
+    
+    Object.keys(this.onsetState).forEach(stream => {
+      const state = this.onsetState[stream];
+      if (state.isOnset) {
+        this.notifyListeners('onset', { stream, strength: state.flux }, time);
+      }
+    });
+    
+    // Worklet onsets carry their own sample-accurate timestamps
+    this.workletFrames.forEach(frame => {
+      if (frame.onset) {
+        this.notifyListeners('onset', { stream: 'worklet', strength: frame.flux }, frame.time);
+      }
+    });
+    
+    this.detectBandPeaks(time);
+    
+    if (this.tempo.bpm > 0 && Math.abs(this.tempo.bpm - this.reportedTempo) >= this.tempoChangeThreshold) {
+      this.notifyListeners('tempoChange', {
+        bpm: this.tempo.bpm,
+        previous: this.reportedTempo,
+        confidence: this.tempo.confidence
+      }, time);
+      this.reportedTempo = this.tempo.bpm;
+    }
+    
+    this.evaluateTriggers(time);
+  }
+  
+  /**
+   * Raise bandPeak when a band rises through peakThreshold
+   */
+  detectBandPeaks(time) {
+    Object.entries(this.frequencyBands).forEach(([band, { energy }]) => {
+      const wasPeaking = this.bandPeakState[band] || false;
+      
+      if (!wasPeaking && energy >= this.peakThreshold) {
+        this.bandPeakState[band] = true;
+        this.peakHistory.push({ time, band, energy });
+        if (this.peakHistory.length > this.maxHistoryLength) {
+          this.peakHistory.shift();
+        }
+        this.notifyListeners('bandPeak', { band, energy }, time);
+      } else if (wasPeaking && energy < this.peakThreshold * this.peakRelease) {
+        this.bandPeakState[band] = false;
+      }
+    });
+  }
+  
+  /**
+   * Fire threshold triggers with hysteresis and cooldown
+   */
+  evaluateTriggers(time) {
+    Object.values(this.triggers).forEach(trigger => {
+      const value = this.getFeatureValue(trigger.feature);
+      if (typeof value !== 'number' || isNaN(value)) return;
+      
+      if (trigger.armed === null) {
+        trigger.armed = { rising: value < trigger.threshold, falling: value >= trigger.threshold };
+        return;
+      }
+      
+      // Both directions fire on the threshold itself; each re-arms only once the value
+      // has moved the hysteresis distance back past the threshold on the other side
+      const { armed, threshold, hysteresis } = trigger;
+      let crossed = null;
+      if (value >= threshold) {
+        if (armed.rising) crossed = 'rising';
+        armed.rising = false;
+        if (value >= threshold + hysteresis) armed.falling = true;
+      } else {
+        if (armed.falling) crossed = 'falling';
+        armed.falling = false;
+        if (value < threshold - hysteresis) armed.rising = true;
+      }
+      
+      if (!crossed || (trigger.direction !== 'both' && trigger.direction !== crossed)) return;
+      if (time - trigger.lastFired < trigger.cooldown) return;
+      
+      trigger.lastFired = time;
+      this.notifyListeners('trigger', {
+        name: trigger.name,
+        feature: typeof trigger.feature === 'function' ? 'custom' : trigger.feature,
+        value,
+        direction: crossed
+      }, time);
+    });
+  }
+  
+  /**
+   * Get recent band peaks
+   * @returns {Array} - [{ time, band, energy }]
+   */
+  getPeakHistory() {
+    return this.peakHistory.slice();
+  }
+  
+  /**
+   * Dispose resources
+   */
+  dispose() {
+    this.frequencyHistory.clear();
+    Object.values(this.featureHistory).forEach(history => history.clear());
+    this.peakHistory = [];
+    this.onsetEnvelope = [];
+    this.resetTempo();
+    Object.values(this.onsetState).forEach(state => {
+      state.fluxHistory = [];
+    });
+    this.resetLoudness();
+    this.disableWorklet();
+    this.disableStereo();
+    this.sources = [];
+    this.structureHistory = [];
+    this.structureEvents = [];
+    this.section = { type: 'none', start: 0 };
+    this.hasAudio = false;
+    this.trackEnded = false;
+    this.buildUpReleaseTime = -Infinity;
+    this.listeners = [];
+    this.triggers = {};
+    this.bandPeakState = {};
+    this.reportedTempo = 0;
+  }
+  
+  /**
+   * Design the BS.1770 K-weighting filters (high shelf + high pass) for a sample rate
+   * @returns {Array} - Biquad coefficient sets { b0, b1, b2, a1, a2 }
+   */
+  static createKWeightingFilters(sampleRate) {
+    // Stage 1: head-related high shelf
+    let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    let Q = 0.7071752369554196;
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let a0 = 1 + K / Q + K * K;
+    const shelf = {
+      b0: (Vh + Vb * K / Q + K * K) / a0,
+      b1: 2 * (K * K - Vh) / a0,
+      b2: (Vh - Vb * K / Q + K * K) / a0,
+      a1: 2 * (K * K - 1) / a0,
+      a2: (1 - K / Q + K * K) / a0
+    };
+    
+    // Stage 2: RLB high pass
+    K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    const highPass = {
+      b0: 1,
+      b1: -2,
+      b2: 1,
+      a1: 2 * (K * K - 1) / a0,
+      a2: (1 - K / Q + K * K) / a0
+    };
+    
+    return [shelf, highPass];
+  }
+  
+  /**
+   * Analyze a decoded AudioBuffer offline into a time-indexed feature track.
+   * Runs the same calculations as live analysis at a fixed hop size.
+   * @param {AudioBuffer} audioBuffer - Decoded audio (or any object with the same shape)
+   * @param {object} options - { fftSize, hopSize, smoothingTimeConstant, onProgress }
+   * @returns {FeatureTrack} - Analyzed features
+   */
+  static analyzeBuffer(audioBuffer, options = {}) {
+    const {
+      fftSize = 2048,
+      hopSize = 512,
+      smoothingTimeConstant = 0.8,
+      onProgress = null
+    } = options;
+    
+    const source = SignalFrameSource.fromAudioBuffer(audioBuffer, {
+      fftSize,
+      hopSize,
+      smoothingTimeConstant
+    });
+    const analyzer = new AudioAnalyzer(source);
+    const track = new FeatureTrack(source.sampleRate, hopSize);
+    const totalFrames = source.getFrameCount();
+    let frame = 0;
+    
+    while (source.advance()) {
+      const time = source.getTime();
+      analyzer.update(time);
+      track.addFrame(analyzer.getFeatureFrame(time));
+      
+      frame++;
+      if (onProgress && frame % 100 === 0) {
+        onProgress(frame / totalFrames);
+      }
+    }
+    
+    track.finalize(source.getDuration());
+    analyzer.dispose();
+    return track;
+  }
+  
+  /**
+   * Check an object against the frame-source interface (see AnalyserFrameSource)
+   * @returns {array} - Error messages, empty when valid
+   */
+  static validateFrameSource(source) {
+    if (!source || typeof source !== 'object') {
+      return ['Frame source must be an AudioContext or an object'];
+    }
+    
+    const errors = [];
+    if (typeof source.sampleRate !== 'number' || !(source.sampleRate > 0)) {
+      errors.push('sampleRate must be a positive number');
+    }
+    if (!Number.isInteger(source.frequencyBinCount) || source.frequencyBinCount <= 0) {
+      errors.push('frequencyBinCount must be a positive integer');
+    }
+    ['minDecibels', 'maxDecibels'].forEach(key => {
+      if (typeof source[key] !== 'number' || !Number.isFinite(source[key])) {
+        errors.push(`${key} must be a finite number`);
+      }
+    });
+    ['getTime', 'readFrequencyData', 'readFloatFrequencyData', 'readTimeDomainData', 'readFloatTimeDomainData']
+      .forEach(method => {
+        if (typeof source[method] !== 'function') {
+          errors.push(`${method}() is missing`);
+        }
+      });
+    return errors;
+  }
+  
+  /**
+   * Mix all channels of an AudioBuffer down to a single Float32Array
+   */
+  static mixToMono(audioBuffer) {
+    const channels = audioBuffer.numberOfChannels;
+    const mono = new Float32Array(audioBuffer.length);
+    
+    for (let c = 0; c < channels; c++) {
+      const data = audioBuffer.getChannelData(c);
+      for (let i = 0; i < mono.length; i++) {
+        mono[i] += data[i] / channels;
+      }
+    }
+    
+    return mono;
+  }
+}
+
+/**
+ * BandLayout - Named frequency bands mapped onto FFT bins.
+ * Bins are weighted by how much of their bandwidth falls inside a band,
+ * so narrow low-frequency bands and band edges are handled correctly.
+ */
+class BandLayout {
+  /**
+   * @param {Array} bands - [{ name, min, max, weight }] in Hz; weight defaults to 1
+   */
+  constructor(bands) {
+    this.bands = bands.map(band => ({
+      name: band.name,
+      min: band.min,
+      max: band.max,
+      weight: band.weight ?? 1
+    }));
+    this.binWeights = null;
+    this.preparedFor = null;
+  }
+  
+  /**
+   * Build a layout from a { name: { min, max } } table such as AudioAnalyzer.frequencyBands
+   */
+  static fromBandTable(table) {
+    return new BandLayout(Object.keys(table).map(name => ({
+      name,
+      min: table[name].min,
+      max: table[name].max,
+      weight: table[name].weight
+    })));
+  }
+  
+  /**
+   * Generate bands on a frequency scale
+   * @param {object} options
+   * @param {string} options.scale - 'linear', 'log', 'mel', 'octave' or 'third-octave'
+   * @param {number} options.count - Number of bands (ignored for octave scales)
+   * @param {number} options.minFrequency - Lowest edge in Hz
+   * @param {number} options.maxFrequency - Highest edge in Hz
+   * @param {string} options.weighting - 'flat', 'pink' (+3 dB/octave tilt) or 'a' (A-weighting)
+   * @returns {BandLayout} - Generated layout
+   */
+  static generate(options = {}) {
+    const {
+      scale = 'log',
+      count = 8,
+      minFrequency = 20,
+      maxFrequency = 20000,
+      weighting = 'flat'
+    } = options;
+    
+    const edges = [];
+    const centers = [];
+    if (scale === 'octave' || scale === 'third-octave') {
+      // Centers on the standard 1 kHz-referenced series
+      const fraction = scale === 'octave' ? 1 : 3;
+      const first = Math.ceil(fraction * Math.log2(minFrequency / 1000));
+      const last = Math.floor(fraction * Math.log2(maxFrequency / 1000));
+      for (let k = first; k <= last; k++) {
+        centers.push(1000 * Math.pow(2, k / fraction));
+        edges.push(1000 * Math.pow(2, (k - 0.5) / fraction));
+      }
+      edges.push(1000 * Math.pow(2, (last + 0.5) / fraction));
+    } else {
+      const toScale = BandLayout.SCALES[scale];
+      if (!toScale) {
+        throw new Error(`Unknown band scale: ${scale}`);
+      }
+      const low = toScale.forward(minFrequency);
+      const high = toScale.forward(maxFrequency);
+      for (let i = 0; i <= count; i++) {
+        edges.push(toScale.inverse(low + (high - low) * (i / count)));
+        if (i < count) {
+          centers.push(toScale.inverse(low + (high - low) * ((i + 0.5) / count)));
+        }
+      }
+    }
+    
+    const names = new Set();
+    const bands = centers.map((center, i) => {
+      let name = BandLayout.formatFrequency(center);
+      if (names.has(name)) name = `${name}-${i}`;
+      names.add(name);
+      
+      return {
+        name,
+        min: edges[i],
+        max: edges[i + 1],
+        weight: BandLayout.getWeighting(weighting, center)
+      };
+    });
+    
+    return new BandLayout(bands);
+  }
+  
+  /**
+   * Built-in layouts every analyzer starts with
+   */
+  static createPresets() {
+    return {
+      'three-band': new BandLayout([
+        { name: 'bass', min: 20, max: 250 },
+        { name: 'mid', min: 250, max: 2000 },
+        { name: 'treble', min: 2000, max: 20000 }
+      ]),
+      octave: BandLayout.generate({ scale: 'octave' }),
+      'third-octave': BandLayout.generate({ scale: 'third-octave' }),
+      'mel-24': BandLayout.generate({ scale: 'mel', count: 24, minFrequency: 40, maxFrequency: 16000 }),
+      'log-32': BandLayout.generate({ scale: 'log', count: 32, minFrequency: 30, maxFrequency: 16000 })
+    };
+  }
+  
+  /**
+   * Linear gain for a weighting curve at a frequency
+   */
+  static getWeighting(weighting, frequency) {
+    if (weighting === 'pink') {
+      return Math.sqrt(frequency / 1000);
+    }
+    if (weighting === 'a') {
+      const f2 = frequency * frequency;
+      const response = (12194 * 12194 * f2 * f2) /
+        ((f2 + 20.6 * 20.6) * Math.sqrt((f2 + 107.7 * 107.7) * (f2 + 737.9 * 737.9)) * (f2 + 12194 * 12194));
+      return response * Math.pow(10, 2 / 20); // normalized to 0 dB at 1 kHz
+    }
+    return 1;
+  }
+  
+  static formatFrequency(frequency) {
+    return frequency >= 1000 ?
+      `${(frequency / 1000).toFixed(frequency >= 10000 ? 0 : 1)}kHz` :
+      `${Math.round(frequency)}Hz`;
+  }
+  
+  /**
+   * Compute per-band bin weights for a sample rate and bin count (cached)
+   */
+  prepare(sampleRate, binCount) {
+    const key = `${sampleRate}:${binCount}`;
+    if (this.preparedFor === key) return;
+    
+    const binWidth = (sampleRate / 2) / binCount;
+    this.binWeights = this.bands.map(band => {
+      const weights = [];
+      const first = Math.max(0, Math.floor(band.min / binWidth - 0.5));
+      const last = Math.min(binCount - 1, Math.ceil(band.max / binWidth + 0.5));
+      
+      // Bin i covers [(i - 0.5), (i + 0.5)] * binWidth
+      for (let i = first; i <= last; i++) {
+        const overlap = Math.min(band.max, (i + 0.5) * binWidth) - Math.max(band.min, (i - 0.5) * binWidth);
+        if (overlap > 0) {
+          weights.push({ bin: i, weight: overlap / binWidth });
+        }
+      }
+      return weights;
+    });
+    this.preparedFor = key;
+  }
+  
+  /**
+   * Compute band energies from byte frequency data
+   * @param {Uint8Array} frequencyData - Byte spectrum (0-255 per bin)
+   * @param {number} sampleRate - Sample rate of the analysed signal
+   * @param {Float32Array} output - Optional array to fill
+   * @returns {Float32Array} - Weighted mean magnitude per band (0-1 before band weight)
+   */
+  compute(frequencyData, sampleRate, output = new Float32Array(this.bands.length)) {
+    this.prepare(sampleRate, frequencyData.length);
+    
+    this.bands.forEach((band, index) => {
+      let sum = 0;
+      let totalWeight = 0;
+      for (const { bin, weight } of this.binWeights[index]) {
+        sum += (frequencyData[bin] / 255) * weight;
+        totalWeight += weight;
+      }
+      output[index] = totalWeight > 0 ? (sum / totalWeight) * band.weight : 0;
+    });
+    
+    return output;
+  }
+  
+  /**
+   * Map an energy array to { bandName: energy }
+   */
+  toObject(values) {
+    const energies = {};
+    this.bands.forEach((band, index) => {
+      energies[band.name] = values[index];
+    });
+    return energies;
+  }
+}
+
+/**
+ * Frequency scales used by BandLayout.generate
+ */
+BandLayout.SCALES = {
+  linear: {
+    forward: frequency => frequency,
+    inverse: value => value
+  },
+  log: {
+    forward: frequency => Math.log(frequency),
+    inverse: value => Math.exp(value)
+  },
+  mel: {
+    forward: frequency => 2595 * Math.log10(1 + frequency / 700),
+    inverse: value => 700 * (Math.pow(10, value / 2595) - 1)
+  }
+};
+
+/**
+ * Pitch class names, index 0 = C
+ */
+const PITCH_CLASSES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/**
+ * Krumhansl-Kessler key profiles (tonic first)
+ */
+const KEY_PROFILES = {
+  major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+  minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+};
+
+/**
+ * Binary triad templates (root first)
+ */
+const CHORD_TEMPLATES = {
+  major: [1, 0, 0, 0, 1, 0, 0, 1, 0, 0, 0, 0],
+  minor: [1, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 0]
+};
+
+/**
+ * HistoryBuffer - Preallocated Float32 ring of fixed-width rows with timestamps.
+ * Rows are addressed by age (0 = newest); next() hands out the oldest row for reuse.
+ */
+class HistoryBuffer {
+  constructor(capacity, width = 1) {
+    this.capacity = capacity;
+    this.width = width;
+    this.data = new Float32Array(capacity * width);
+    this.times = new Float64Array(capacity);
+    this.rows = [];
+    for (let i = 0; i < capacity; i++) {
+      this.rows.push(this.data.subarray(i * width, (i + 1) * width));
+    }
+    this.head = 0; // index the next row is written to
+    this.length = 0;
+  }
+  
+  /**
+   * Claim the row for a new frame; the caller fills it in place
+   */
+  next(time) {
+    const row = this.rows[this.head];
+    this.times[this.head] = time;
+    this.head = (this.head + 1) % this.capacity;
+    this.length = Math.min(this.length + 1, this.capacity);
+    return row;
+  }
+  
+  /**
+   * Row by age, 0 being the newest
+   */
+  get(age) {
+    return this.rows[(this.head - 1 - age + this.capacity * 2) % this.capacity];
+  }
+  
+  getTime(age) {
+    return this.times[(this.head - 1 - age + this.capacity * 2) % this.capacity];
+  }
+  
+  /**
+   * Number of newest rows stamped after a time
+   */
+  countSince(time) {
+    let count = 0;
+    while (count < this.length && this.getTime(count) > time) {
+      count++;
+    }
+    return count;
+  }
+  
+  /**
+   * Number of newest rows within seconds of the newest one
+   */
+  countWithin(seconds) {
+    return this.length > 0 ? this.countSince(this.getTime(0) - seconds) : 0;
+  }
+  
+  /**
+   * Mean of the first column over the newest count rows
+   */
+  mean(count = this.length) {
+    if (count === 0) return 0;
+    let sum = 0;
+    for (let age = 0; age < count; age++) {
+      sum += this.get(age)[0];
+    }
+    return sum / count;
+  }
+  
+  /**
+   * Copy the newest count rows into one array, oldest first
+   */
+  copyWindow(count, output = new Float32Array(count * this.width)) {
+    for (let i = 0; i < count; i++) {
+      output.set(this.get(count - 1 - i), i * this.width);
+    }
+    return output;
+  }
+  
+  copyTimes(count, output = new Float64Array(count)) {
+    for (let i = 0; i < count; i++) {
+      output[i] = this.getTime(count - 1 - i);
+    }
+    return output;
+  }
+  
+  clear() {
+    this.head = 0;
+    this.length = 0;
+  }
+}
+
+/**
+ * FeatureRingBuffer - Main-thread reader for frames written by analysisWorklet.js.
+ * Layout: Int32 [writeCount, readCount] header followed by capacity Float64 frames of FIELDS
+ * (Float64 so audio-clock times stay sample-accurate however long the context runs).
+ */
+class FeatureRingBuffer {
+  constructor(buffer, capacity) {
+    this.capacity = capacity;
+    this.stride = FeatureRingBuffer.FIELDS.length;
+    this.header = new Int32Array(buffer, 0, 2);
+    this.data = new Float64Array(buffer, FeatureRingBuffer.HEADER_BYTES, capacity * this.stride);
+  }
+  
+  /**
+   * Allocate shared memory for a ring of the given capacity
+   */
+  static allocate(capacity) {
+    const bytes = FeatureRingBuffer.HEADER_BYTES + capacity * FeatureRingBuffer.FIELDS.length * 8;
+    return new SharedArrayBuffer(bytes);
+  }
+  
+  /**
+   * Decode a flat Float64Array of frames into objects
+   */
+  static decode(data, start = 0, count = data.length / FeatureRingBuffer.FIELDS.length) {
+    const fields = FeatureRingBuffer.FIELDS;
+    const frames = [];
+    for (let f = 0; f < count; f++) {
+      const offset = (start + f) * fields.length;
+      const frame = {};
+      fields.forEach((field, index) => {
+        frame[field] = data[offset + index];
+      });
+      frame.onset = frame.onset > 0;
+      frames.push(frame);
+    }
+    return frames;
+  }
+  
+  /**
+   * Read all unread frames; if the writer lapped the reader, the oldest are skipped
+   */
+  read() {
+    const writeCount = Atomics.load(this.header, 0);
+    let readCount = Atomics.load(this.header, 1);
+    readCount = Math.max(readCount, writeCount - this.capacity);
+    
+    const frames = [];
+    for (; readCount < writeCount; readCount++) {
+      frames.push(...FeatureRingBuffer.decode(this.data, readCount % this.capacity, 1));
+    }
+    
+    Atomics.store(this.header, 1, readCount);
+    return frames;
+  }
+}
+
+// Frame layout shared with analysisWorklet.js
+FeatureRingBuffer.FIELDS = ['time', 'rms', 'peak', 'centroid', 'flux', 'onset', 'low', 'mid', 'high'];
+FeatureRingBuffer.HEADER_BYTES = 8;
+
+/**
+ * AnalyserFrameSource - Frame source backed by a Web Audio AnalyserNode
+ *
+ * Frame-source interface used by AudioAnalyzer:
+ *   sampleRate, frequencyBinCount, minDecibels, maxDecibels, getTime(),
+ *   readFrequencyData(Uint8Array), readFloatFrequencyData(Float32Array),
+ *   readTimeDomainData(Uint8Array), readFloatTimeDomainData(Float32Array)
+ */
+class AnalyserFrameSource {
+  constructor(audioContext, fftSize = 2048) {
+    this.audioContext = audioContext;
+    this.analyser = audioContext.createAnalyser();
+    this.analyser.fftSize = fftSize;
+    this.sampleRate = audioContext.sampleRate;
+    this.frequencyBinCount = this.analyser.frequencyBinCount;
+  }
+  
+  /**
+   * Connect audio source to the analyser node
+   */
+  connect(source) {
+    source.connect(this.analyser);
+    return this.analyser;
+  }
+  
+  get minDecibels() {
+    return this.analyser.minDecibels;
+  }
+  
+  get maxDecibels() {
+    return this.analyser.maxDecibels;
+  }
+  
+  getTime() {
+    return this.audioContext.currentTime;
+  }
+  
+  readFrequencyData(array) {
+    this.analyser.getByteFrequencyData(array);
+  }
+  
+  readFloatFrequencyData(array) {
+    this.analyser.getFloatFrequencyData(array);
+  }
+  
+  readTimeDomainData(array) {
+    this.analyser.getByteTimeDomainData(array);
+  }
+  
+  readFloatTimeDomainData(array) {
+    this.analyser.getFloatTimeDomainData(array);
+  }
+}
+
+/**
+ * SignalFrameSource - Frame source over an in-memory PCM array.
+ * Stepped explicitly with advance(), so analysis runs headless and deterministically.
+ */
+class SignalFrameSource {
+  /**
+   * @param {Float32Array} samples - Mono PCM samples in [-1, 1]
+   * @param {object} options - { sampleRate, fftSize, hopSize, smoothingTimeConstant }
+   */
+  constructor(samples, options = {}) {
+    const {
+      sampleRate = 44100,
+      fftSize = 2048,
+      hopSize = 512,
+      smoothingTimeConstant = 0.8
+    } = options;
+    
+    this.samples = samples instanceof Float32Array ? samples : Float32Array.from(samples);
+    this.sampleRate = sampleRate;
+    this.hopSize = hopSize;
+    this.spectrum = new SpectrumAnalyser(sampleRate, fftSize);
+    this.spectrum.smoothingTimeConstant = smoothingTimeConstant;
+    this.frequencyBinCount = this.spectrum.frequencyBinCount;
+    this.position = 0; // index one past the newest sample in the current frame
+  }
+  
+  /**
+   * Create a source from a decoded AudioBuffer, mixed down to mono
+   */
+  static fromAudioBuffer(audioBuffer, options = {}) {
+    return new SignalFrameSource(AudioAnalyzer.mixToMono(audioBuffer), {
+      ...options,
+      sampleRate: audioBuffer.sampleRate
+    });
+  }
+  
+  /**
+   * Step to the next hop and compute its spectrum
+   * @returns {boolean} - False once the signal is exhausted
+   */
+  advance() {
+    if (this.position + this.hopSize > this.samples.length) {
+      return false;
+    }
+    
+    this.position += this.hopSize;
+    this.spectrum.process(this.samples, this.position);
+    return true;
+  }
+  
+  /**
+   * Jump to a position in seconds (spectrum smoothing restarts from there)
+   */
+  seek(time) {
+    this.position = Math.max(0, Math.min(this.samples.length, Math.round(time * this.sampleRate)));
+    this.spectrum.magnitudes.fill(0);
+    this.spectrum.process(this.samples, this.position);
+  }
+  
+  get minDecibels() {
+    return this.spectrum.minDecibels;
+  }
+  
+  get maxDecibels() {
+    return this.spectrum.maxDecibels;
+  }
+  
+  getTime() {
+    return this.position / this.sampleRate;
+  }
+  
+  getDuration() {
+    return this.samples.length / this.sampleRate;
+  }
+  
+  getFrameCount() {
+    return Math.floor(this.samples.length / this.hopSize);
+  }
+  
+  connect() {
+    throw new Error('SignalFrameSource cannot be connected to an audio graph');
+  }
+  
+  readFrequencyData(array) {
+    this.spectrum.getByteFrequencyData(array);
+  }
+  
+  readFloatFrequencyData(array) {
+    this.spectrum.getFloatFrequencyData(array);
+  }
+  
+  readTimeDomainData(array) {
+    this.spectrum.getByteTimeDomainData(array);
+  }
+  
+  readFloatTimeDomainData(array) {
+    this.spectrum.getFloatTimeDomainData(array);
+  }
+}
+
+/**
+ * SignalGenerator - Known test signals for driving SignalFrameSource
+ */
+const SignalGenerator = {
+  /**
+   * Pure sine tone
+   */
+  sine(frequency, duration, { sampleRate = 44100, amplitude = 0.5 } = {}) {
+    const samples = new Float32Array(Math.round(duration * sampleRate));
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+    }
+    return samples;
+  },
+  
+  /**
+   * Exponential sine sweep from startFrequency to endFrequency
+   */
+  sineSweep(startFrequency, endFrequency, duration, { sampleRate = 44100, amplitude = 0.5 } = {}) {
+    const samples = new Float32Array(Math.round(duration * sampleRate));
+    const rate = Math.log(endFrequency / startFrequency) / duration;
+    for (let i = 0; i < samples.length; i++) {
+      const t = i / sampleRate;
+      const phase = 2 * Math.PI * startFrequency * (Math.exp(rate * t) - 1) / rate;
+      samples[i] = amplitude * Math.sin(phase);
+    }
+    return samples;
+  },
+  
+  /**
+   * White noise from a seeded generator, so runs are reproducible
+   */
+  whiteNoise(duration, { sampleRate = 44100, amplitude = 0.5, seed = 1 } = {}) {
+    const samples = new Float32Array(Math.round(duration * sampleRate));
+    let state = seed >>> 0 || 1;
+    for (let i = 0; i < samples.length; i++) {
+      // xorshift32
+      state ^= state << 13;
+      state ^= state >>> 17;
+      state ^= state << 5;
+      samples[i] = amplitude * (((state >>> 0) / 4294967296) * 2 - 1);
+    }
+    return samples;
+  },
+  
+  /**
+   * Impulse train at the given tempo; each impulse is a short decaying burst
+   */
+  impulseTrain(bpm, duration, { sampleRate = 44100, amplitude = 0.9, decay = 0.02 } = {}) {
+    const samples = new Float32Array(Math.round(duration * sampleRate));
+    const interval = 60 / bpm;
+    for (let i = 0; i < samples.length; i++) {
+      const sinceImpulse = (i / sampleRate) % interval;
+      // Alternate polarity so the burst has broadband energy
+      const sign = i % 2 === 0 ? 1 : -1;
+      samples[i] = sign * amplitude * Math.exp(-sinceImpulse / decay);
+    }
+    return samples;
+  },
+  
+  /**
+   * Sum several signals sample by sample (result has the longest length)
+   */
+  mix(...signals) {
+    const length = Math.max(...signals.map(signal => signal.length));
+    const samples = new Float32Array(length);
+    signals.forEach(signal => {
+      for (let i = 0; i < signal.length; i++) {
+        samples[i] += signal[i];
+      }
+    });
+    return samples;
+  }
+};
+
+/**
+ * SpectrumAnalyser - AnalyserNode-compatible spectrum computed in JS.
+ * Fed with raw samples, it applies the same Blackman window, smoothing and
+ * decibel scaling as the Web Audio AnalyserNode.
+ */
+class SpectrumAnalyser {
+  constructor(sampleRate, fftSize = 2048) {
+    this.sampleRate = sampleRate;
+    this.minDecibels = -100;
+    this.maxDecibels = -30;
+    this.smoothingTimeConstant = 0.8;
+    this.fftSize = fftSize;
+  }
+  
+  get fftSize() {
+    return this.size;
+  }
+  
+  set fftSize(size) {
+    if ((size & (size - 1)) !== 0 || size < 32) {
+      throw new Error(`fftSize must be a power of two >= 32, got ${size}`);
+    }
+    
+    this.size = size;
+    this.timeData = new Float32Array(size);
+    this.real = new Float32Array(size);
+    this.imag = new Float32Array(size);
+    this.magnitudes = new Float32Array(size / 2);
+    
+    // Blackman window, as used by AnalyserNode
+    this.window = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      const x = i / size;
+      this.window[i] = 0.42 - 0.5 * Math.cos(2 * Math.PI * x) + 0.08 * Math.cos(4 * Math.PI * x);
+    }
+  }
+  
+  get frequencyBinCount() {
+    return this.size / 2;
+  }
+  
+  /**
+   * Load the fftSize samples ending at `end` and update the smoothed spectrum
+   * @param {Float32Array} samples - Source samples
+   * @param {number} end - Index one past the newest sample
+   */
+  process(samples, end) {
+    const start = end - this.size;
+    for (let i = 0; i < this.size; i++) {
+      const index = start + i;
+      this.timeData[i] = index >= 0 && index < samples.length ? samples[index] : 0;
+      this.real[i] = this.timeData[i] * this.window[i];
+      this.imag[i] = 0;
+    }
+    
+    SpectrumAnalyser.fft(this.real, this.imag);
+    
+    const smoothing = this.smoothingTimeConstant;
+    for (let k = 0; k < this.magnitudes.length; k++) {
+      const magnitude = Math.sqrt(this.real[k] * this.real[k] + this.imag[k] * this.imag[k]) / this.size;
+      this.magnitudes[k] = smoothing * this.magnitudes[k] + (1 - smoothing) * magnitude;
+    }
+  }
+  
+  getFloatTimeDomainData(array) {
+    array.set(this.timeData.subarray(0, array.length));
+  }
+  
+  getByteTimeDomainData(array) {
+    const length = Math.min(array.length, this.size);
+    for (let i = 0; i < length; i++) {
+      array[i] = Math.max(0, Math.min(255, Math.floor(128 * (1 + this.timeData[i]))));
+    }
+  }
+  
+  getFloatFrequencyData(array) {
+    const length = Math.min(array.length, this.magnitudes.length);
+    for (let k = 0; k < length; k++) {
+      array[k] = this.magnitudes[k] > 0 ? 20 * Math.log10(this.magnitudes[k]) : -Infinity;
+    }
+  }
+  
+  getByteFrequencyData(array) {
+    const range = this.maxDecibels - this.minDecibels;
+    const length = Math.min(array.length, this.magnitudes.length);
+    for (let k = 0; k < length; k++) {
+      const db = this.magnitudes[k] > 0 ? 20 * Math.log10(this.magnitudes[k]) : -Infinity;
+      const scaled = Math.floor((255 / range) * (db - this.minDecibels));
+      array[k] = Math.max(0, Math.min(255, scaled));
+    }
+  }
+  
+  /**
+   * In-place iterative radix-2 FFT
+   * @param {Float32Array} real - Real parts (length must be a power of two)
+   * @param {Float32Array} imag - Imaginary parts
+   */
+  static fft(real, imag) {
+    const n = real.length;
+    
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) {
+        j ^= bit;
+      }
+      j ^= bit;
+      if (i < j) {
+        [real[i], real[j]] = [real[j], real[i]];
+        [imag[i], imag[j]] = [imag[j], imag[i]];
+      }
+    }
+    
+    for (let length = 2; length <= n; length <<= 1) {
+      const angle = -2 * Math.PI / length;
+      const stepReal = Math.cos(angle);
+      const stepImag = Math.sin(angle);
+      
+      for (let i = 0; i < n; i += length) {
+        let wReal = 1;
+        let wImag = 0;
+        
+        for (let j = 0; j < length / 2; j++) {
+          const a = i + j;
+          const b = a + length / 2;
+          const tReal = real[b] * wReal - imag[b] * wImag;
+          const tImag = real[b] * wImag + imag[b] * wReal;
+          
+          real[b] = real[a] - tReal;
+          imag[b] = imag[a] - tImag;
+          real[a] += tReal;
+          imag[a] += tImag;
+          
+          const nextReal = wReal * stepReal - wImag * stepImag;
+          wImag = wReal * stepImag + wImag * stepReal;
+          wReal = nextReal;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * FeatureTrack - Time-indexed features produced by offline analysis
+ */
+class FeatureTrack {
+  constructor(sampleRate, hopSize) {
+    this.sampleRate = sampleRate;
+    this.hopSize = hopSize;
+    this.duration = 0;
+    this.frames = [];
+    this.beats = [];
+    this.onsets = {};
+    this.structureEvents = [];
+    this.sections = []; // { type, start, end }
+    this.tempo = { bpm: 0, confidence: 0 };
+    this.moodTimeline = null; // mood cues authored for this track (MoodTimeline.toJSON())
+  }
+  
+  /**
+   * Append an analyzed frame, collecting beat and onset times
+   */
+  addFrame(frame) {
+    const previous = this.frames[this.frames.length - 1];
+    this.frames.push(frame);
+    
+    // Beats flag several consecutive frames; keep rising edges only
+    if (frame.isBeat && !(previous && previous.isBeat)) {
+      this.beats.push(frame.time);
+    }
+    
+    Object.keys(frame.onsets).forEach(stream => {
+      if (!this.onsets[stream]) this.onsets[stream] = [];
+      if (frame.onsets[stream]) this.onsets[stream].push(frame.time);
+    });
+    
+    if (frame.structureEvents) {
+      this.structureEvents.push(...frame.structureEvents);
+    }
+    
+    if (frame.section !== undefined && (!previous || previous.section !== frame.section)) {
+      const current = this.sections[this.sections.length - 1];
+      if (current) current.end = frame.time;
+      this.sections.push({ type: frame.section, start: frame.time, end: frame.time });
+    }
+  }
+  
+  /**
+   * Compute track-level values once all frames are added
+   */
+  finalize(duration) {
+    this.duration = duration;
+    if (this.sections.length > 0) {
+      this.sections[this.sections.length - 1].end = duration;
+    }
+    
+    // Track tempo is the median of confident per-frame estimates
+    const estimates = this.frames
+      .filter(frame => frame.tempo > 0 && frame.tempoConfidence > 0.3)
+      .map(frame => frame.tempo)
+      .sort((a, b) => a - b);
+    
+    if (estimates.length > 0) {
+      this.tempo.bpm = estimates[Math.floor(estimates.length / 2)];
+      this.tempo.confidence = estimates.length / this.frames.length;
+    }
+  }
+  
+  /**
+   * Get the frame covering the given time (latest frame at or before it)
+   * @param {number} time - Position in seconds
+   * @returns {object|null} - Feature frame
+   */
+  getFrameAt(time) {
+    if (this.frames.length === 0 || time < this.frames[0].time) {
+      return this.frames[0] || null;
+    }
+    
+    let low = 0;
+    let high = this.frames.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.frames[middle].time <= time) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    
+    return this.frames[low];
+  }
+  
+  /**
+   * Get beat times within [start, end)
+   */
+  getBeatsBetween(start, end) {
+    return this.beats.filter(time => time >= start && time < end);
+  }
+  
+  /**
+   * Get the section covering the given time
+   * @returns {object|null} - { type, start, end }
+   */
+  getSectionAt(time) {
+    return this.sections.find(section => time >= section.start && time < section.end) || null;
+  }
+  
+  toJSON() {
+    return {
+      sampleRate: this.sampleRate,
+      hopSize: this.hopSize,
+      duration: this.duration,
+      tempo: this.tempo,
+      beats: this.beats,
+      onsets: this.onsets,
+      sections: this.sections,
+      structureEvents: this.structureEvents,
+      moodTimeline: this.moodTimeline,
+      frames: this.frames
+    };
   }
 }
 
 // Export for use in modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = AudioAnalyzer;
+  module.exports.BandLayout = BandLayout;
+  module.exports.FeatureRingBuffer = FeatureRingBuffer;
+  module.exports.HistoryBuffer = HistoryBuffer;
+  module.exports.AnalyserFrameSource = AnalyserFrameSource;
+  module.exports.SignalFrameSource = SignalFrameSource;
+  module.exports.SignalGenerator = SignalGenerator;
+  module.exports.SpectrumAnalyser = SpectrumAnalyser;
+  module.exports.FeatureTrack = FeatureTrack;
 }
\ No newline at end of file
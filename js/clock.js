@@ -0,0 +1,82 @@
+/**
+ * Clocks - Time sources for MoodEngine and AdvancedVisualizer
+ *
+ * Clock interface: now() returns the current time in milliseconds. Only
+ * differences between readings are used, so the origin does not matter.
+ */
+
+/**
+ * WallClock - Real time from performance.now() (Date.now() where unavailable)
+ */
+class WallClock {
+  now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+}
+
+/**
+ * AudioClock - Follows audioContext.currentTime, so time stops while the
+ * context is suspended and visuals pause with the music
+ */
+class AudioClock {
+  constructor(audioContext) {
+    this.audioContext = audioContext;
+  }
+
+  now() {
+    return this.audioContext.currentTime * 1000;
+  }
+}
+
+/**
+ * ManualClock - Only moves when told to; for tests and offline rendering
+ */
+class ManualClock {
+  /**
+   * @param {number} time - Start time in milliseconds
+   * @param {number} frameRate - Frames per second used by step()
+   */
+  constructor(time = 0, frameRate = 60) {
+    this.time = time;
+    this.frameRate = frameRate;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Jump to a time
+   * @param {number} time - Milliseconds
+   */
+  set(time) {
+    this.time = time;
+    return this.time;
+  }
+
+  /**
+   * Move time forward
+   * @param {number} milliseconds - Amount to advance
+   */
+  advance(milliseconds) {
+    this.time += milliseconds;
+    return this.time;
+  }
+
+  /**
+   * Advance by whole frames at frameRate
+   * @param {number} frames - Number of frames
+   */
+  step(frames = 1) {
+    return this.advance(frames * 1000 / this.frameRate);
+  }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    WallClock,
+    AudioClock,
+    ManualClock
+  };
+}
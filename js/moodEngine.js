@@ -3,14 +3,140 @@
  * Manages different emotional moods and their associated visual/audio parameters
  */
 
+/**
+ * Schema for mood definitions: field -> { type, required, min, max }
+ */
+const MOOD_SCHEMA = {
+  name: { type: 'string', required: true },
+  description: { type: 'string', required: true },
+  color: { type: 'rgb', required: true },
+  brightness: { type: 'number', required: true, min: 0, max: 1 },
+  saturation: { type: 'number', required: true, min: 0, max: 1 },
+  audioResponseSensitivity: { type: 'number', required: true, min: 0, max: 1 },
+  particleSpeed: { type: 'number', required: true, min: 0, max: 10 },
+  particleSize: { type: 'number', required: true, min: 0.5, max: 50 },
+  particleOpacity: { type: 'number', required: true, min: 0, max: 1 },
+  frequencyBand: { type: 'frequencyBand', required: true },
+  bandLayout: { type: 'string', required: false },
+  visualIntensity: { type: 'number', required: true, min: 0, max: 1 },
+  rotationSpeed: { type: 'number', required: true, min: 0, max: 10 },
+  pulseFactor: { type: 'number', required: true, min: 0, max: 10 },
+  backgroundColor: { type: 'cssColor', required: true },
+  glowIntensity: { type: 'number', required: true, min: 0, max: 1 },
+  effectiveFrequencies: { type: 'string', required: false },
+  featureProfile: { type: 'featureProfile', required: false },
+  audioProfile: { type: 'audioProfile', required: false }
+};
+
+/**
+ * Audio response profile fields: field -> { default, min, max }. Defaults match
+ * AudioAnalyzer's own settings, so moods without a profile leave detection as it is.
+ */
+const AUDIO_PROFILE_SCHEMA = {
+  beatThreshold: { default: 0.6, min: 0, max: 3 }, // multiple of average energy a beat must exceed
+  beatSensitivity: { default: 1.2, min: 0.5, max: 2 },
+  smoothingTimeConstant: { default: 0.8, min: 0, max: 0.99 },
+  onsetCooldown: { default: 0.1, min: 0, max: 2 } // seconds between onsets of a stream
+};
+
+/**
+ * Bands of AudioAnalyzer.frequencyBands that emphasizedBands gains (0-4, default 1) apply to
+ */
+const AUDIO_PROFILE_BANDS = ['subBass', 'bass', 'lowMid', 'mid', 'highMid', 'treble', 'brilliance'];
+
+const MOOD_PACK_VERSION = 1;
+
+// Time sources from clock.js: a global in the page (loaded first), required under Node
+const MoodClocks = typeof WallClock !== 'undefined' ? { WallClock, AudioClock, ManualClock } : require('./clock.js');
+
+const easeOutBounce = t => {
+  if (t < 1 / 2.75) return 7.5625 * t * t;
+  if (t < 2 / 2.75) return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+  if (t < 2.5 / 2.75) return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+  return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+};
+
+/**
+ * Named easings: progress (0-1) -> eased progress. Back and elastic overshoot
+ * their endpoints; mixMoods keeps the results inside the schema ranges.
+ */
+const EASINGS = {
+  linear: t => t,
+  easeInSine: t => 1 - Math.cos(t * Math.PI / 2),
+  easeOutSine: t => Math.sin(t * Math.PI / 2),
+  easeInOutSine: t => (1 - Math.cos(Math.PI * t)) / 2,
+  easeInCubic: t => t * t * t,
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+  easeInExpo: t => t <= 0 ? 0 : Math.pow(2, 10 * t - 10),
+  easeOutExpo: t => t >= 1 ? 1 : 1 - Math.pow(2, -10 * t),
+  easeInOutExpo: t => {
+    if (t <= 0 || t >= 1) return t <= 0 ? 0 : 1;
+    return t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, -20 * t + 10)) / 2;
+  },
+  easeInBack: t => 2.70158 * t * t * t - 1.70158 * t * t,
+  easeOutBack: t => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2),
+  easeInOutBack: t => t < 0.5 ?
+    Math.pow(2 * t, 2) * (3.5949095 * 2 * t - 2.5949095) / 2 :
+    (Math.pow(2 * t - 2, 2) * (3.5949095 * (2 * t - 2) + 2.5949095) + 2) / 2,
+  easeInElastic: t => {
+    if (t <= 0 || t >= 1) return t <= 0 ? 0 : 1;
+    return -Math.pow(2, 10 * t - 10) * Math.sin((10 * t - 10.75) * 2 * Math.PI / 3);
+  },
+  easeOutElastic: t => {
+    if (t <= 0 || t >= 1) return t <= 0 ? 0 : 1;
+    return Math.pow(2, -10 * t) * Math.sin((10 * t - 0.75) * 2 * Math.PI / 3) + 1;
+  },
+  easeInOutElastic: t => {
+    if (t <= 0 || t >= 1) return t <= 0 ? 0 : 1;
+    const wave = Math.sin((20 * t - 11.125) * 2 * Math.PI / 4.5);
+    return t < 0.5 ? -Math.pow(2, 20 * t - 10) * wave / 2 : Math.pow(2, -20 * t + 10) * wave / 2 + 1;
+  },
+  easeInBounce: t => 1 - easeOutBounce(1 - t),
+  easeOutBounce,
+  easeInOutBounce: t => t < 0.5 ? (1 - easeOutBounce(1 - 2 * t)) / 2 : (1 + easeOutBounce(2 * t - 1)) / 2,
+  stepStart: t => t > 0 ? 1 : 0,
+  stepEnd: t => t >= 1 ? 1 : 0
+};
+
 class MoodEngine {
-  constructor() {
+  /**
+   * @param {object} clock - Time source with now() in ms (WallClock, AudioClock or
+   *   ManualClock from clock.js); defaults to wall-clock time
+   */
+  constructor(clock = null) {
+    this.clock = clock || new MoodClocks.WallClock();
     this.currentMood = 'calm';
     this.moodTransitionDuration = 2000; // ms
     this.isTransitioning = false;
     this.transitionStartTime = null;
     
+    // Transition source: the parameters on screen when the transition started,
+    // so retargeting mid-fade continues from where the visuals actually are
+    this.previousMood = null;
+    this.transitionFrom = null;
+    this.transitionPolicy = 'latest'; // 'latest', 'queue' or 'reject' for requests during a transition
+    this.transitionQueue = [];
+    
+    // Routing over transitionRules: non-adjacent targets are reached through intermediate moods
+    this.transitionEdges = {}; // 'from->to' -> { duration, easing }, overriding the defaults
+    this.routingMode = 'duration'; // 'duration' (fastest route) or 'hops' (fewest moods)
+    this.route = []; // moods still to visit after the running transition
+    this.transitionDuration = this.moodTransitionDuration; // of the running transition
+    this.transitionEasing = 'easeInOutCubic';
+    this.transitionOptions = {}; // changeMood() overrides, applied to every hop of the route
+    
+    // Per-parameter timing as fractions of each transition: parameter -> { delay, duration, easing },
+    // e.g. color leading and particleSpeed lagging (see setParameterStagger)
+    this.parameterTimings = {};
+    this.transitionParameters = {}; // timings of the running transition
+    this.easingCache = {};
+    
+    // Blend mode: a weight per mood instead of a single mood (see setBlend)
+    this.blend = null; // { weights, from, startTime, duration }
+    
     // Mood definitions with visual and audio parameters
+    // frequencyBand low/mid/high map onto the bands of the AudioAnalyzer layout named by bandLayout
     this.moods = {
       calm: {
         name: 'Calm',
@@ -23,11 +149,21 @@ class MoodEngine {
         particleSize: 5,
         particleOpacity: 0.6,
         frequencyBand: { low: 0, mid: 20, high: 30 },
+        bandLayout: 'three-band',
         visualIntensity: 0.4,
         rotationSpeed: 0.2,
         pulseFactor: 1.0,
         backgroundColor: 'rgba(20, 30, 50, 0.3)',
-        glowIntensity: 0.3
+        glowIntensity: 0.3,
+        featureProfile: { energy: 0.2, brightness: 0.25, flux: 0.1, entropy: 0.6, bass: 0.25, minor: 0.3 },
+        // Ignore small transients: beats must clear 1.6x the average energy, slow smoothing, long onset cooldown
+        audioProfile: {
+          beatThreshold: 1.6,
+          beatSensitivity: 0.8,
+          smoothingTimeConstant: 0.88,
+          onsetCooldown: 0.3,
+          emphasizedBands: { mid: 1.2, highMid: 1.1 }
+        }
       },
       energetic: {
         name: 'Energetic',
@@ -40,11 +176,21 @@ class MoodEngine {
         particleSize: 8,
         particleOpacity: 0.9,
         frequencyBand: { low: 40, mid: 60, high: 100 },
+        bandLayout: 'three-band',
         visualIntensity: 0.9,
         rotationSpeed: 1.5,
         pulseFactor: 2.0,
         backgroundColor: 'rgba(50, 20, 20, 0.5)',
-        glowIntensity: 0.8
+        glowIntensity: 0.8,
+        featureProfile: { energy: 0.6, brightness: 0.5, flux: 0.5, entropy: 0.8, bass: 0.6, minor: 0.4 },
+        // React to every kick: low threshold, fast response, short cooldown, weighted low end
+        audioProfile: {
+          beatThreshold: 1.1,
+          beatSensitivity: 1.6,
+          smoothingTimeConstant: 0.55,
+          onsetCooldown: 0.06,
+          emphasizedBands: { subBass: 1.4, bass: 1.3 }
+        }
       },
       heartbreak: {
         name: 'Heartbreak',
@@ -57,12 +203,21 @@ class MoodEngine {
         particleSize: 4,
         particleOpacity: 0.5,
         frequencyBand: { low: 10, mid: 25, high: 40 },
+        bandLayout: 'three-band',
         visualIntensity: 0.5,
         rotationSpeed: 0.3,
         pulseFactor: 1.5,
         backgroundColor: 'rgba(40, 20, 40, 0.4)',
         glowIntensity: 0.5,
-        effectiveFrequencies: 'bass-heavy'
+        effectiveFrequencies: 'bass-heavy',
+        featureProfile: { energy: 0.3, brightness: 0.2, flux: 0.15, entropy: 0.55, bass: 0.4, minor: 0.9 },
+        audioProfile: {
+          beatThreshold: 1.3,
+          beatSensitivity: 1.0,
+          smoothingTimeConstant: 0.8,
+          onsetCooldown: 0.15,
+          emphasizedBands: { lowMid: 1.2, mid: 1.2 }
+        }
       }
     };
     
@@ -73,13 +228,47 @@ class MoodEngine {
       heartbreak: ['calm', 'energetic']
     };
     
+    // Automatic mood selection from analyzer features (see updateAutoMood)
+    // featureProfile values are the typical 0-1 features of music in that mood
+    this.autoMood = {
+      enabled: false,
+      mode: 'switch', // 'switch' changes mood, 'blend' mixes moods by their scores
+      window: 8000, // ms of features averaged before classifying
+      minDwell: 20000, // ms to stay in a mood before switching automatically again
+      hysteresis: 0.15, // probability margin a candidate needs over the current mood
+      minConfidence: 0.4,
+      temperature: 0.05, // softmax temperature over weighted feature distances
+      featureWeights: { energy: 2, brightness: 1, flux: 1.5, entropy: 0.5, bass: 1, minor: 1 }
+    };
+    this.featureWindow = []; // { time, features }
+    this.autoMoodEstimate = { mood: null, confidence: 0, scores: {} };
+    this.lastMoodChangeTime = this.clock.now();
+    
     // Listeners for mood changes
     this.listeners = [];
     
+    // Session log: every mood change with its source and the audio features at that moment.
+    // Timed on its own wall clock: the engine clock may be swapped for track position.
+    this.sessionClock = new MoodClocks.WallClock();
+    this.sessionLog = null; // { startedAt (ISO date), maxEntries, entries }
+    this.clearSessionLog();
+    
     // Initialize
     this.initializeMood();
   }
   
+  /**
+   * Switch time source. Running transitions and blends keep their elapsed time.
+   * @param {object} clock - Object with now() in ms, see clock.js
+   */
+  setClock(clock) {
+    const offset = clock.now() - this.clock.now();
+    if (this.transitionStartTime !== null) this.transitionStartTime += offset;
+    if (this.blend) this.blend.startTime += offset;
+    this.lastMoodChangeTime += offset;
+    this.clock = clock;
+  }
+  
   /**
    * Initialize the mood engine
    */
@@ -91,46 +280,478 @@ class MoodEngine {
   /**
    * Change to a new mood with smooth transition
    * @param {string} newMood - The mood to transition to ('calm', 'energetic', 'heartbreak')
+   * @param {object} options - { duration, easing, parameters } overriding the route's edges,
+   *   plus source ('manual', 'auto', 'scheduled', ...) and features for the session log
    * @returns {boolean} - Whether the transition was initiated
    */
-  changeMood(newMood) {
+  changeMood(newMood, options = {}) {
     if (!this.moods[newMood]) {
       console.error(`Invalid mood: ${newMood}`);
       return false;
     }
     
-    if (newMood === this.currentMood) {
-      console.log(`Already in ${newMood} mood`);
+    const optionErrors = this.validateTransitionOptions(options);
+    if (optionErrors.length > 0) {
+      console.error(`Invalid transition options:\n  ${optionErrors.join('\n  ')}`);
       return false;
     }
     
+    // Settle a transition that has run its course but has not been rendered since
+    if (this.isTransitioning && this.getTransitionProgress() >= 1) {
+      this.completeTransition();
+      if (this.isTransitioning && this.transitionPolicy === 'queue') {
+        return this.queueMood(newMood, options);
+      }
+    }
+    
     if (this.isTransitioning) {
-      console.log('Mood transition already in progress');
-      return false;
+      if (this.transitionPolicy === 'reject') {
+        console.log('Mood transition already in progress');
+        return false;
+      }
+      if (this.transitionPolicy === 'queue') {
+        return this.queueMood(newMood, options);
+      }
     }
     
-    // Check if transition is allowed
-    if (!this.transitionRules[this.currentMood].includes(newMood)) {
-      console.warn(`Direct transition from ${this.currentMood} to ${newMood} not allowed`);
+    // Leaving a blend for its dominant mood is a plain fade out of the blend
+    if (this.blend && newMood === this.currentMood) {
+      return this.clearBlend(options);
+    }
+    
+    if (newMood === this.currentMood) {
+      console.log(`Already in ${newMood} mood`);
       return false;
     }
     
-    console.log(`Transitioning from ${this.currentMood} to ${newMood}`);
-    this.isTransitioning = true;
-    this.transitionStartTime = Date.now();
+    // Heading back to the source of a running fade is always allowed; anything not
+    // directly reachable is routed through intermediate moods
+    const reverting = this.isTransitioning && newMood === this.previousMood;
+    const path = reverting ? [this.currentMood, newMood] : this.findMoodPath(this.currentMood, newMood);
+    if (!path) {
+      console.warn(`No transition route from ${this.currentMood} to ${newMood}`);
+      return false;
+    }
     
+    if (path.length > 2) {
+      console.log(`Routing from ${this.currentMood} to ${newMood} via ${path.slice(1, -1).join(', ')}`);
+      this.notifyListeners('moodRouteStarted', { path });
+    }
+    this.route = path.slice(2);
+    this.transitionOptions = options;
+    this.startTransition(path[1]);
+    return true;
+  }
+  
+  /**
+   * Start a single transition (one edge of a route) from the on-screen state
+   * @param {string} newMood - Adjacent mood to transition to
+   * @param {boolean} routed - Whether this continues a route already under way
+   */
+  startTransition(newMood, routed = false) {
+    const interrupted = this.isTransitioning;
     const previousMood = this.currentMood;
+    console.log(`Transitioning from ${interrupted ? 'mid-transition state' : previousMood} to ${newMood}`);
+    
+    const { parameters, source = 'manual', features = null, ...overrides } = this.transitionOptions;
+    const edge = { ...this.getTransitionEdge(previousMood, newMood), ...overrides };
+    this.transitionFrom = this.captureMoodSnapshot();
+    this.blend = null;
+    this.previousMood = previousMood;
+    this.isTransitioning = true;
+    this.transitionStartTime = this.clock.now();
+    this.lastMoodChangeTime = this.transitionStartTime;
+    this.transitionDuration = edge.duration;
+    this.transitionEasing = edge.easing;
+    this.transitionParameters = { ...this.parameterTimings, ...edge.parameters, ...parameters };
     this.currentMood = newMood;
     
+    this.recordMoodChange({
+      mood: newMood,
+      from: previousMood,
+      target: this.route.length > 0 ? this.route[this.route.length - 1] : newMood,
+      source,
+      duration: edge.duration,
+      easing: edge.easing,
+      interrupted,
+      routed,
+      features
+    });
+    
     this.notifyListeners('moodChangeStarted', {
       from: previousMood,
       to: newMood,
-      duration: this.moodTransitionDuration
+      duration: edge.duration,
+      easing: edge.easing,
+      route: this.route.slice(),
+      interrupted,
+      source
+    });
+  }
+  
+  /**
+   * Find a route over transitionRules (Dijkstra)
+   * @param {string} from - Start mood
+   * @param {string} to - Target mood
+   * @param {string} mode - 'duration' weighs edges by transition duration, 'hops' counts moods
+   * @returns {array|null} - Moods from start to target inclusive, or null if unreachable
+   */
+  findMoodPath(from, to, mode = this.routingMode) {
+    if (!this.moods[from] || !this.moods[to]) return null;
+    if (from === to) return [from];
+    
+    const cost = { [from]: 0 };
+    const previous = {};
+    const visited = new Set();
+    
+    while (true) {
+      let current = null;
+      Object.keys(cost).forEach(mood => {
+        if (!visited.has(mood) && (current === null || cost[mood] < cost[current])) current = mood;
+      });
+      if (current === null) return null;
+      if (current === to) break;
+      visited.add(current);
+      
+      (this.transitionRules[current] || []).forEach(next => {
+        const weight = mode === 'hops' ? 1 : this.getTransitionEdge(current, next).duration;
+        if (!visited.has(next) && (cost[next] === undefined || cost[current] + weight < cost[next])) {
+          cost[next] = cost[current] + weight;
+          previous[next] = current;
+        }
+      });
+    }
+    
+    const path = [to];
+    while (path[0] !== from) {
+      path.unshift(previous[path[0]]);
+    }
+    return path;
+  }
+  
+  /**
+   * Get duration and easing of a transition edge
+   * @returns {object} - { duration, easing }, falling back to the engine defaults
+   */
+  getTransitionEdge(from, to) {
+    return {
+      duration: this.moodTransitionDuration,
+      easing: 'easeInOutCubic',
+      ...this.transitionEdges[`${from}->${to}`]
+    };
+  }
+  
+  /**
+   * Set duration and/or easing for one edge of the transition graph
+   * @param {string} from - Source mood
+   * @param {string} to - Target mood (must be allowed by transitionRules)
+   * @param {object} settings - { duration (ms), easing (see getEasing), parameters (see setParameterTiming) }
+   * @returns {boolean} - Whether the edge was configured
+   */
+  setTransitionEdge(from, to, settings) {
+    const errors = this.validateTransitionEdges({ [`${from}->${to}`]: settings }, this.transitionRules);
+    if (errors.length > 0) {
+      console.error(`Invalid transition edge:\n  ${errors.join('\n  ')}`);
+      return false;
+    }
+    
+    this.transitionEdges[`${from}->${to}`] = { ...this.transitionEdges[`${from}->${to}`], ...settings };
+    return true;
+  }
+  
+  /**
+   * Validate edge settings against transition rules
+   * @returns {array} - Error messages, empty when valid
+   */
+  validateTransitionEdges(edges, rules) {
+    const errors = [];
+    Object.entries(edges || {}).forEach(([key, settings]) => {
+      const [from, to] = key.split('->');
+      if (!rules[from] || !rules[from].includes(to)) {
+        errors.push(`transitionEdges.${key}: no such transition in transitionRules`);
+      }
+      if (!settings || typeof settings !== 'object') {
+        errors.push(`transitionEdges.${key} must be an object`);
+        return;
+      }
+      errors.push(...this.validateTransitionOptions(settings, `transitionEdges.${key}`));
+    });
+    return errors;
+  }
+  
+  /**
+   * Validate duration, easing and parameter timings of a transition
+   * @param {object} options - { duration, easing, parameters }
+   * @param {string} path - Prefix for error messages
+   * @returns {array} - Error messages, empty when valid
+   */
+  validateTransitionOptions(options, path = 'options') {
+    const errors = [];
+    if (!options || typeof options !== 'object') {
+      return [`${path} must be an object`];
+    }
+    if (options.duration !== undefined && (typeof options.duration !== 'number' || options.duration < 100)) {
+      errors.push(`${path}.duration must be a number of at least 100 ms`);
+    }
+    if (options.easing !== undefined && !this.getEasing(options.easing)) {
+      errors.push(`${path}.easing: unknown easing ${JSON.stringify(options.easing)}`);
+    }
+    if (options.parameters !== undefined) {
+      errors.push(...this.validateParameterTimings(options.parameters, `${path}.parameters`));
+    }
+    if (options.source !== undefined && typeof options.source !== 'string') {
+      errors.push(`${path}.source must be a string`);
+    }
+    return errors;
+  }
+  
+  /**
+   * Validate per-parameter timings
+   * @param {object} timings - Parameter -> { delay, duration, easing }
+   * @param {string} path - Prefix for error messages
+   * @returns {array} - Error messages, empty when valid
+   */
+  validateParameterTimings(timings, path = 'parameters') {
+    if (!timings || typeof timings !== 'object') {
+      return [`${path} must be an object`];
+    }
+    
+    const errors = [];
+    Object.entries(timings).forEach(([parameter, timing]) => {
+      const field = MOOD_SCHEMA[parameter];
+      if (!field || !['number', 'rgb', 'frequencyBand', 'featureProfile', 'audioProfile'].includes(field.type)) {
+        errors.push(`${path}.${parameter}: not an interpolated mood parameter`);
+        return;
+      }
+      if (!timing || typeof timing !== 'object') {
+        errors.push(`${path}.${parameter} must be an object`);
+        return;
+      }
+      const { delay = 0, duration = 1 - delay } = timing;
+      if (typeof delay !== 'number' || delay < 0 || delay >= 1) {
+        errors.push(`${path}.${parameter}.delay must be a number from 0 to below 1`);
+      } else if (typeof duration !== 'number' || duration <= 0 || delay + duration > 1 + 1e-9) {
+        errors.push(`${path}.${parameter}.duration must be positive and end by the end of the transition`);
+      }
+      if (timing.easing !== undefined && !this.getEasing(timing.easing)) {
+        errors.push(`${path}.${parameter}.easing: unknown easing ${JSON.stringify(timing.easing)}`);
+      }
+    });
+    return errors;
+  }
+  
+  /**
+   * Set the default timing of one parameter within every transition
+   * @param {string} parameter - Mood parameter, e.g. 'color' or 'particleSpeed'
+   * @param {object|null} timing - { delay, duration, easing } with delay and duration as
+   *   fractions of the transition, or null to follow the transition again
+   * @returns {boolean} - Whether the timing was set
+   */
+  setParameterTiming(parameter, timing) {
+    if (timing === null) {
+      delete this.parameterTimings[parameter];
+      return true;
+    }
+    
+    const errors = this.validateParameterTimings({ [parameter]: timing });
+    if (errors.length > 0) {
+      console.error(`Invalid parameter timing:\n  ${errors.join('\n  ')}`);
+      return false;
+    }
+    
+    this.parameterTimings[parameter] = { ...timing };
+    return true;
+  }
+  
+  /**
+   * Stagger parameters: each starts step later than the one before, all with the same length,
+   * so the first leads and the last lags
+   * @param {array} parameters - Parameters in order, e.g. ['color', 'brightness', 'particleSpeed']
+   * @param {number} step - Delay between consecutive parameters as a fraction of the transition
+   * @param {string|object} easing - Optional easing for the staggered parameters
+   * @returns {boolean} - Whether the stagger was applied
+   */
+  setParameterStagger(parameters, step = 0.15, easing = undefined) {
+    const duration = 1 - step * (parameters.length - 1);
+    if (!(step >= 0) || duration <= 0) {
+      console.error(`Stagger step ${step} leaves no time for ${parameters.length} parameters`);
+      return false;
+    }
+    
+    const timings = {};
+    parameters.forEach((parameter, index) => {
+      timings[parameter] = { delay: step * index, duration };
+      if (easing !== undefined) timings[parameter].easing = easing;
     });
     
+    const errors = this.validateParameterTimings(timings);
+    if (errors.length > 0) {
+      console.error(`Invalid parameter stagger:\n  ${errors.join('\n  ')}`);
+      return false;
+    }
+    
+    Object.assign(this.parameterTimings, timings);
+    return true;
+  }
+  
+  /**
+   * Choose how routes are weighted
+   * @param {string} mode - 'duration' or 'hops'
+   */
+  setRoutingMode(mode) {
+    if (!['duration', 'hops'].includes(mode)) {
+      console.error(`Invalid routing mode: ${mode}`);
+      return false;
+    }
+    this.routingMode = mode;
+    return true;
+  }
+  
+  /**
+   * Queue a mood to start once the running transition (and earlier queued moods) finish
+   * @param {string} newMood - Mood to queue
+   * @param {object} options - Transition options, as for changeMood
+   * @returns {boolean} - Whether the mood was queued
+   */
+  queueMood(newMood, options = {}) {
+    const last = this.transitionQueue.length > 0 ?
+      this.transitionQueue[this.transitionQueue.length - 1].mood : this.currentMood;
+    
+    if (newMood === last) {
+      console.log(`${newMood} is already the last queued mood`);
+      return false;
+    }
+    if (!this.findMoodPath(last, newMood)) {
+      console.warn(`No transition route from ${last} to ${newMood}`);
+      return false;
+    }
+    
+    this.transitionQueue.push({ mood: newMood, options });
+    this.notifyListeners('moodChangeQueued', { mood: newMood, queue: this.transitionQueue.map(entry => entry.mood) });
+    return true;
+  }
+  
+  /**
+   * Set how mood changes requested during a transition are handled
+   * @param {string} policy - 'latest' (retarget from the on-screen state), 'queue' or 'reject'
+   * @returns {boolean} - Whether the policy was set
+   */
+  setTransitionPolicy(policy) {
+    if (!['latest', 'queue', 'reject'].includes(policy)) {
+      console.error(`Invalid transition policy: ${policy}`);
+      return false;
+    }
+    
+    this.transitionPolicy = policy;
+    if (policy !== 'queue') {
+      this.transitionQueue = [];
+    }
+    return true;
+  }
+  
+  /**
+   * Drop all queued mood changes
+   */
+  clearTransitionQueue() {
+    this.transitionQueue = [];
+  }
+  
+  /**
+   * Capture the parameters currently on screen as a mood-shaped object
+   * @returns {object} - Mood parameters (interpolated when mid-transition)
+   */
+  captureMoodSnapshot() {
+    if (this.blend) {
+      return this.getBlendedMoodData();
+    }
+    
+    const base = this.moods[this.currentMood];
+    if (!this.isTransitioning || !this.transitionFrom) {
+      return JSON.parse(JSON.stringify(base));
+    }
+    
+    return this.interpolateParameters(this.transitionFrom, base, this.getTransitionProgress());
+  }
+  
+  /**
+   * Put the engine straight into a transition (or a settled mood) at a given point,
+   * bypassing policy, routing and the queue. Used by MoodTimeline to follow a script.
+   * @param {string} mood - Target mood
+   * @param {object} options - { from: parameters to fade from (null = already there),
+   *   elapsed: ms of the transition already played, duration, easing, parameters, source }.
+   *   Missing settings come from the edge leaving the current mood. Only a change of mood
+   *   is logged, so re-entering the same mood at another point (e.g. seeking) is not.
+   * @returns {boolean} - Whether the state was set
+   */
+  setTransitionState(mood, options = {}) {
+    const { from = null, elapsed = 0, source = 'manual', ...settings } = options;
+    if (!this.moods[mood]) {
+      console.error(`Invalid mood: ${mood}`);
+      return false;
+    }
+    const errors = this.validateTransitionOptions(settings);
+    if (errors.length > 0) {
+      console.error(`Invalid transition options:\n  ${errors.join('\n  ')}`);
+      return false;
+    }
+    
+    const previousMood = this.currentMood;
+    const edge = { ...this.getTransitionEdge(previousMood, mood), ...settings };
+    this.route = [];
+    this.transitionQueue = [];
+    this.transitionOptions = {};
+    this.blend = null;
+    this.previousMood = previousMood;
+    this.currentMood = mood;
+    this.transitionDuration = edge.duration;
+    this.transitionEasing = edge.easing;
+    this.transitionParameters = { ...this.parameterTimings, ...edge.parameters };
+    this.transitionStartTime = this.clock.now() - elapsed;
+    this.lastMoodChangeTime = this.transitionStartTime;
+    this.isTransitioning = from !== null && elapsed < edge.duration;
+    this.transitionFrom = this.isTransitioning ? from : null;
+    
+    if (mood !== previousMood) {
+      this.recordMoodChange({
+        mood,
+        from: previousMood,
+        target: mood,
+        source,
+        duration: edge.duration,
+        easing: edge.easing,
+        interrupted: false,
+        routed: false
+      });
+    }
+    
+    this.notifyListeners('moodStateSet', {
+      from: previousMood,
+      to: mood,
+      progress: this.isTransitioning ? this.getTransitionProgress() : 1
+    });
     return true;
   }
   
+  /**
+   * Finish the running transition and start the next queued one, if any
+   */
+  completeTransition() {
+    this.isTransitioning = false;
+    this.transitionFrom = null;
+    this.notifyListeners('moodChangeComplete', this.getMoodData());
+    
+    // Continue along the route before starting anything queued
+    if (this.route.length > 0) {
+      this.startTransition(this.route.shift(), true);
+      return;
+    }
+    
+    while (this.transitionQueue.length > 0) {
+      const next = this.transitionQueue.shift();
+      if (this.moods[next.mood] && this.changeMood(next.mood, next.options)) break;
+    }
+  }
+  
   /**
    * Get current mood data
    * @returns {object} - Current mood configuration
@@ -140,7 +761,8 @@ class MoodEngine {
       ...this.moods[this.currentMood],
       mood: this.currentMood,
       isTransitioning: this.isTransitioning,
-      transitionProgress: this.getTransitionProgress()
+      transitionProgress: this.getTransitionProgress(),
+      blendWeights: this.blend ? { ...this.blend.weights } : null
     };
   }
   
@@ -149,6 +771,21 @@ class MoodEngine {
    * @returns {object} - Interpolated mood parameters
    */
   getInterpolatedMoodData() {
+    if (this.blend) {
+      // Once the fade into the blend has played out, the previous look is no longer needed
+      if (this.blend.from && this.getBlendProgress() >= 1) {
+        this.blend.from = null;
+      }
+      return {
+        ...this.getBlendedMoodData(),
+        name: this.moods[this.currentMood].name,
+        mood: this.currentMood,
+        isTransitioning: false,
+        transitionProgress: 0,
+        blendWeights: { ...this.blend.weights }
+      };
+    }
+    
     if (!this.isTransitioning) {
       return this.getMoodData();
     }
@@ -156,23 +793,11 @@ class MoodEngine {
     const progress = this.getTransitionProgress();
     
     if (progress >= 1) {
-      this.isTransitioning = false;
-      this.notifyListeners('moodChangeComplete', this.getMoodData());
-      return this.getMoodData();
-    }
-    
-    // Find previous mood
-    const moodArray = Object.keys(this.moods);
-    const previousMoodName = moodArray.find(m => m !== this.currentMood);
-    
-    if (!previousMoodName) {
-      return this.getMoodData();
+      this.completeTransition();
+      return this.isTransitioning ? this.getInterpolatedMoodData() : this.getMoodData();
     }
     
-    const from = this.moods[previousMoodName];
-    const to = this.moods[this.currentMood];
-    
-    return this.interpolateMoods(from, to, progress);
+    return this.interpolateMoods(this.transitionFrom, this.moods[this.currentMood], progress);
   }
   
   /**
@@ -180,12 +805,12 @@ class MoodEngine {
    * @returns {number} - Progress value
    */
   getTransitionProgress() {
-    if (!this.isTransitioning || !this.transitionStartTime) {
+    if (!this.isTransitioning || this.transitionStartTime === null) {
       return 0;
     }
     
-    const elapsed = Date.now() - this.transitionStartTime;
-    return Math.min(elapsed / this.moodTransitionDuration, 1);
+    const elapsed = this.clock.now() - this.transitionStartTime;
+    return Math.min(elapsed / this.transitionDuration, 1);
   }
   
   /**
@@ -196,72 +821,380 @@ class MoodEngine {
    * @returns {object} - Interpolated mood data
    */
   interpolateMoods(from, to, progress) {
-    const easeProgress = this.easeInOutCubic(progress);
-    
     return {
+      ...this.interpolateParameters(from, to, progress),
       name: this.currentMood,
       description: to.description,
-      color: {
-        r: Math.round(from.color.r + (to.color.r - from.color.r) * easeProgress),
-        g: Math.round(from.color.g + (to.color.g - from.color.g) * easeProgress),
-        b: Math.round(from.color.b + (to.color.b - from.color.b) * easeProgress)
-      },
-      brightness: from.brightness + (to.brightness - from.brightness) * easeProgress,
-      saturation: from.saturation + (to.saturation - from.saturation) * easeProgress,
-      audioResponseSensitivity: from.audioResponseSensitivity + (to.audioResponseSensitivity - from.audioResponseSensitivity) * easeProgress,
-      particleSpeed: from.particleSpeed + (to.particleSpeed - from.particleSpeed) * easeProgress,
-      particleSize: from.particleSize + (to.particleSize - from.particleSize) * easeProgress,
-      particleOpacity: from.particleOpacity + (to.particleOpacity - from.particleOpacity) * easeProgress,
-      visualIntensity: from.visualIntensity + (to.visualIntensity - from.visualIntensity) * easeProgress,
-      rotationSpeed: from.rotationSpeed + (to.rotationSpeed - from.rotationSpeed) * easeProgress,
-      pulseFactor: from.pulseFactor + (to.pulseFactor - from.pulseFactor) * easeProgress,
-      glowIntensity: from.glowIntensity + (to.glowIntensity - from.glowIntensity) * easeProgress,
+      bandLayout: to.bandLayout,
       mood: this.currentMood,
       isTransitioning: true,
-      transitionProgress: easeProgress
+      transitionProgress: progress // linear time progress; parameters follow their own easing and timing
     };
   }
   
   /**
-   * Easing function - cubic in-out
-   * @param {number} t - Time value (0-1)
-   * @returns {number} - Eased value
-   */
-  easeInOutCubic(t) {
-    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
-  }
-  
-  /**
-   * Get available moods
-   * @returns {array} - List of available mood names
+   * Interpolate mood parameters with the running transition's easing, letting
+   * parameters with their own timing lead or lag the rest
+   * @param {object} from - Source mood or snapshot
+   * @param {object} to - Target mood
+   * @param {number} progress - Transition progress (0-1)
+   * @param {string|object|function} easing - Transition easing, the running one by default
+   * @param {object} parameters - Per-parameter timings, the running ones by default
+   * @returns {object} - Interpolated mood parameters
    */
-  getAvailableMoods() {
-    return Object.keys(this.moods);
+  interpolateParameters(from, to, progress, easing = this.transitionEasing, parameters = this.transitionParameters) {
+    const eased = this.getEasing(easing)(progress);
+    const result = this.mixMoods([
+      { mood: from, weight: 1 - eased },
+      { mood: to, weight: eased }
+    ]);
+    
+    Object.entries(parameters).forEach(([key, timing]) => {
+      if (from[key] === undefined || to[key] === undefined) return;
+      
+      const { delay = 0, duration = 1 - delay } = timing;
+      const local = Math.max(0, Math.min(1, (progress - delay) / duration));
+      const t = this.getEasing(timing.easing || easing)(local);
+      result[key] = this.mixMoods([
+        { mood: { [key]: from[key] }, weight: 1 - t },
+        { mood: { [key]: to[key] }, weight: t }
+      ])[key];
+    });
+    return result;
   }
   
   /**
-   * Get mood description
-   * @param {string} moodName - Name of the mood
-   * @returns {object} - Mood metadata
+   * Weighted mix of any number of moods. Numbers are averaged, nested objects
+   * (color, frequencyBand, featureProfile) are mixed field by field and color
+   * channels are rounded; anything else comes from the heaviest mood. Weights may be
+   * negative (overshooting easings); results are clamped to the schema ranges.
+   * @param {array} entries - [{ mood, weight }] with mood a definition or snapshot
+   * @returns {object} - Mixed mood parameters
    */
-  getMoodInfo(moodName) {
-    if (!this.moods[moodName]) {
-      return null;
+  mixMoods(entries) {
+    // Audio profiles mix field by field, so every mood brings a complete one
+    if (entries.some(entry => entry.mood.audioProfile)) {
+      entries = entries.map(entry => ({
+        ...entry,
+        mood: { ...entry.mood, audioProfile: this.getAudioProfile(entry.mood) }
+      }));
     }
     
-    return {
-      name: this.moods[moodName].name,
-      description: this.moods[moodName].description,
-      transitionsTo: this.transitionRules[moodName]
+    const active = entries.filter(entry => entry.weight !== 0);
+    const dominant = active.reduce((best, entry) => entry.weight > best.weight ? entry : best, active[0]);
+    
+    const mix = (values, weights, fallback) => {
+      const defined = values.map((value, index) => ({ value, weight: weights[index] }))
+        .filter(entry => entry.value !== undefined);
+      const total = defined.reduce((sum, entry) => sum + entry.weight, 0);
+      
+      if (defined.length > 0 && defined.every(entry => typeof entry.value === 'number')) {
+        return defined.reduce((sum, entry) => sum + entry.value * entry.weight, 0) / total;
+      }
+      if (fallback && typeof fallback === 'object' && !Array.isArray(fallback) &&
+          defined.every(entry => entry.value && typeof entry.value === 'object')) {
+        const mixed = {};
+        Object.keys(fallback).forEach(key => {
+          mixed[key] = mix(defined.map(entry => entry.value[key]), defined.map(entry => entry.weight), fallback[key]);
+        });
+        return mixed;
+      }
+      return fallback;
     };
+    
+    const weights = active.map(entry => entry.weight);
+    const result = {};
+    Object.keys(dominant.mood).forEach(key => {
+      result[key] = mix(active.map(entry => entry.mood[key]), weights, dominant.mood[key]);
+    });
+    
+    if (result.color) {
+      ['r', 'g', 'b'].forEach(channel => {
+        result.color[channel] = Math.max(0, Math.min(255, Math.round(result.color[channel])));
+      });
+    }
+    Object.keys(result).forEach(key => {
+      const field = MOOD_SCHEMA[key];
+      if (field && field.type === 'number' && typeof result[key] === 'number') {
+        result[key] = Math.max(field.min, Math.min(field.max, result[key]));
+      }
+    });
+    return result;
   }
   
   /**
-   * Set mood transition duration
-   * @param {number} duration - Duration in milliseconds
+   * Enter blend mode: the look becomes a weighted mix of moods
+   * @param {object} weights - Mood name -> non-negative weight (normalized to sum to 1)
+   * @param {number} duration - Milliseconds to fade from the current look (0 = immediate)
+   * @param {string} source - What set the blend, for the session log
+   * @returns {boolean} - Whether the blend was set
    */
-  setTransitionDuration(duration) {
-    this.moodTransitionDuration = Math.max(100, duration);
+  setBlend(weights, duration = this.moodTransitionDuration, source = 'manual') {
+    const errors = [];
+    if (!weights || typeof weights !== 'object') {
+      errors.push('Blend weights must be an object of mood -> weight');
+    } else {
+      Object.entries(weights).forEach(([mood, weight]) => {
+        if (!this.moods[mood]) errors.push(`Invalid mood: ${mood}`);
+        if (typeof weight !== 'number' || !(weight >= 0)) errors.push(`Weight for ${mood} must be a non-negative number`);
+      });
+    }
+    const total = errors.length === 0 ? Object.values(weights).reduce((sum, weight) => sum + weight, 0) : 0;
+    if (errors.length === 0 && total <= 0) errors.push('At least one blend weight must be positive');
+    if (errors.length > 0) {
+      console.error(`Invalid blend:\n  ${errors.join('\n  ')}`);
+      return false;
+    }
+    
+    const normalized = {};
+    Object.entries(weights).forEach(([mood, weight]) => {
+      if (weight > 0) normalized[mood] = weight / total;
+    });
+    
+    const from = duration > 0 ? this.captureMoodSnapshot() : null;
+    const previousMood = this.currentMood;
+    this.isTransitioning = false;
+    this.transitionFrom = null;
+    this.route = [];
+    this.transitionQueue = [];
+    this.blend = { weights: normalized, from, startTime: this.clock.now(), duration };
+    this.currentMood = Object.keys(normalized).reduce((best, mood) =>
+      normalized[mood] > normalized[best] ? mood : best);
+    
+    this.recordMoodChange({
+      mood: this.currentMood,
+      from: previousMood,
+      target: this.currentMood,
+      source,
+      duration,
+      easing: 'easeInOutCubic',
+      interrupted: false,
+      routed: false,
+      blend: { ...normalized }
+    });
+    
+    this.notifyListeners('blendChanged', { weights: { ...normalized }, dominant: this.currentMood, duration });
+    return true;
+  }
+  
+  /**
+   * Shift weight towards (or away from) one mood, keeping the others proportional
+   * @param {string} mood - Mood to nudge
+   * @param {number} amount - Weight to add (negative to remove), as a fraction of the total
+   * @param {number} duration - Milliseconds to fade to the new weights
+   * @param {string} source - What nudged the blend, for the session log
+   * @returns {boolean} - Whether the blend was changed
+   */
+  nudgeBlend(mood, amount, duration = 250, source = 'manual') {
+    if (!this.moods[mood]) {
+      console.error(`Invalid mood: ${mood}`);
+      return false;
+    }
+    
+    const weights = this.blend ? { ...this.blend.weights } : { [this.currentMood]: 1 };
+    const target = Math.max(0, Math.min(1, (weights[mood] || 0) + amount));
+    const others = 1 - (weights[mood] || 0);
+    Object.keys(weights).forEach(name => {
+      if (name !== mood) {
+        weights[name] = others > 0 ? weights[name] / others * (1 - target) : 0;
+      }
+    });
+    weights[mood] = target;
+    
+    return this.setBlend(weights, duration, source);
+  }
+  
+  /**
+   * Leave blend mode with a transition to the dominant mood
+   * @param {object} options - Transition options, as for changeMood
+   * @returns {boolean} - Whether blend mode was active
+   */
+  clearBlend(options = {}) {
+    if (!this.blend) return false;
+    
+    this.previousMood = this.currentMood;
+    this.route = [];
+    this.transitionOptions = options;
+    this.startTransition(this.currentMood);
+    this.notifyListeners('blendCleared', { mood: this.currentMood });
+    return true;
+  }
+  
+  /**
+   * Get blend weights, or null outside blend mode
+   */
+  getBlendWeights() {
+    return this.blend ? { ...this.blend.weights } : null;
+  }
+  
+  /**
+   * Progress (0-1) of the fade into the current blend; 1 once it has played out
+   */
+  getBlendProgress() {
+    if (!this.blend || !this.blend.from) return 1;
+    return Math.min(1, (this.clock.now() - this.blend.startTime) / this.blend.duration);
+  }
+  
+  /**
+   * Mood parameters of the current blend, including the fade from the previous look
+   * @returns {object} - Mixed mood parameters
+   */
+  getBlendedMoodData() {
+    const { weights, from } = this.blend;
+    const target = this.mixMoods(Object.entries(weights).map(([mood, weight]) => ({ mood: this.moods[mood], weight })));
+    const progress = this.getBlendProgress();
+    if (!from || progress >= 1) return target;
+    
+    const eased = EASINGS.easeInOutCubic(progress);
+    return this.mixMoods([{ mood: from, weight: 1 - eased }, { mood: target, weight: eased }]);
+  }
+  
+  /**
+   * Easing function - cubic in-out
+   * @param {number} t - Time value (0-1)
+   * @returns {number} - Eased value
+   */
+  easeInOutCubic(t) {
+    return EASINGS.easeInOutCubic(t);
+  }
+  
+  /**
+   * Resolve an easing
+   * @param {string|object|function} spec - A name from EASINGS, 'steps(n[, start|end])',
+   *   'cubic-bezier(x1, y1, x2, y2)', { type: 'steps', count, position },
+   *   { type: 'cubicBezier', x1, y1, x2, y2 } or an easing function
+   * @returns {function|null} - Easing function, null if unknown
+   */
+  getEasing(spec) {
+    if (typeof spec === 'function') return spec;
+    if (typeof spec === 'string' && EASINGS.hasOwnProperty(spec)) return EASINGS[spec];
+    if (!spec || !['string', 'object'].includes(typeof spec)) return null;
+    
+    const key = typeof spec === 'string' ? spec : JSON.stringify(spec);
+    if (!this.easingCache[key]) {
+      const easing = MoodEngine.parseEasing(spec);
+      if (!easing) return null;
+      this.easingCache[key] = easing;
+    }
+    return this.easingCache[key];
+  }
+  
+  /**
+   * Get the names of the built-in easings
+   * @returns {array} - Easing names
+   */
+  getAvailableEasings() {
+    return Object.keys(EASINGS);
+  }
+  
+  /**
+   * Build an easing from a steps or cubic-bezier description
+   * @returns {function|null} - Easing function, null if the description is invalid
+   */
+  static parseEasing(spec) {
+    if (typeof spec === 'object') {
+      if (spec.type === 'steps') return MoodEngine.createSteps(spec.count, spec.position);
+      if (spec.type === 'cubicBezier') return MoodEngine.createCubicBezier(spec.x1, spec.y1, spec.x2, spec.y2);
+      return null;
+    }
+    
+    const steps = spec.match(/^steps\(\s*(\d+)\s*(?:,\s*(start|end)\s*)?\)$/);
+    if (steps) {
+      return MoodEngine.createSteps(Number(steps[1]), steps[2]);
+    }
+    const bezier = spec.match(/^cubic-bezier\(([^)]*)\)$/);
+    if (bezier) {
+      const points = bezier[1].split(',').map(value => value.trim() === '' ? NaN : Number(value));
+      return points.length === 4 ? MoodEngine.createCubicBezier(...points) : null;
+    }
+    return null;
+  }
+  
+  /**
+   * Staircase easing with count equal jumps
+   * @param {number} count - Number of steps
+   * @param {string} position - 'end' (jump at the end of each step) or 'start'
+   * @returns {function|null} - Easing function, null if invalid
+   */
+  static createSteps(count, position = 'end') {
+    if (!Number.isInteger(count) || count < 1 || !['start', 'end'].includes(position)) {
+      return null;
+    }
+    const offset = position === 'start' ? 1 : 0;
+    return t => t >= 1 ? 1 : Math.min(1, Math.floor(Math.max(0, t) * count + offset) / count);
+  }
+  
+  /**
+   * CSS-style cubic Bézier easing through (0,0), (x1,y1), (x2,y2), (1,1)
+   * @returns {function|null} - Easing function, null if the control points are invalid
+   */
+  static createCubicBezier(x1, y1, x2, y2) {
+    if (![x1, y1, x2, y2].every(Number.isFinite) || x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) {
+      return null;
+    }
+    
+    const sample = (a1, a2, t) => ((1 - 3 * a2 + 3 * a1) * t + (3 * a2 - 6 * a1)) * t * t + 3 * a1 * t;
+    const slope = (a1, a2, t) => 3 * (1 - 3 * a2 + 3 * a1) * t * t + 2 * (3 * a2 - 6 * a1) * t + 3 * a1;
+    
+    return x => {
+      if (x <= 0 || x >= 1) return x <= 0 ? 0 : 1;
+      
+      // Solve x(t) = x with Newton's method, falling back to bisection where it stalls
+      let t = x;
+      for (let i = 0; i < 8; i++) {
+        const error = sample(x1, x2, t) - x;
+        if (Math.abs(error) < 1e-6) return sample(y1, y2, t);
+        const derivative = slope(x1, x2, t);
+        if (Math.abs(derivative) < 1e-6) break;
+        t -= error / derivative;
+      }
+      
+      let low = 0;
+      let high = 1;
+      t = x;
+      while (high - low > 1e-6) {
+        if (sample(x1, x2, t) < x) {
+          low = t;
+        } else {
+          high = t;
+        }
+        t = (low + high) / 2;
+      }
+      return sample(y1, y2, t);
+    };
+  }
+  
+  /**
+   * Get available moods
+   * @returns {array} - List of available mood names
+   */
+  getAvailableMoods() {
+    return Object.keys(this.moods);
+  }
+  
+  /**
+   * Get mood description
+   * @param {string} moodName - Name of the mood
+   * @returns {object} - Mood metadata
+   */
+  getMoodInfo(moodName) {
+    if (!this.moods[moodName]) {
+      return null;
+    }
+    
+    return {
+      name: this.moods[moodName].name,
+      description: this.moods[moodName].description,
+      transitionsTo: this.transitionRules[moodName]
+    };
+  }
+  
+  /**
+   * Set mood transition duration
+   * @param {number} duration - Duration in milliseconds
+   */
+  setTransitionDuration(duration) {
+    this.moodTransitionDuration = Math.max(100, duration);
   }
   
   /**
@@ -293,7 +1226,7 @@ class MoodEngine {
         callback({
           type: eventType,
           data: data,
-          timestamp: Date.now()
+          timestamp: this.clock.now()
         });
       } catch (error) {
         console.error('Error in mood listener callback:', error);
@@ -301,13 +1234,682 @@ class MoodEngine {
     });
   }
   
+  /**
+   * Validate a mood definition against MOOD_SCHEMA
+   * @param {object} definition - Mood definition
+   * @returns {array} - Error messages, empty when valid
+   */
+  validateMood(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      return ['Mood definition must be an object'];
+    }
+    
+    const errors = [];
+    const isNumber = value => typeof value === 'number' && isFinite(value);
+    
+    Object.entries(MOOD_SCHEMA).forEach(([field, rule]) => {
+      const value = definition[field];
+      if (value === undefined) {
+        if (rule.required) errors.push(`${field} is required`);
+        return;
+      }
+      
+      switch (rule.type) {
+        case 'string':
+          if (typeof value !== 'string') errors.push(`${field} must be a string`);
+          break;
+        case 'number':
+          if (!isNumber(value) || value < rule.min || value > rule.max) {
+            errors.push(`${field} must be a number between ${rule.min} and ${rule.max} (got ${JSON.stringify(value)})`);
+          }
+          break;
+        case 'rgb':
+          ['r', 'g', 'b'].forEach(channel => {
+            const component = value && value[channel];
+            if (!Number.isInteger(component) || component < 0 || component > 255) {
+              errors.push(`${field}.${channel} must be an integer between 0 and 255`);
+            }
+          });
+          break;
+        case 'frequencyBand':
+          ['low', 'mid', 'high'].forEach(key => {
+            const bound = value && value[key];
+            if (!isNumber(bound) || bound < 0 || bound > 100) {
+              errors.push(`${field}.${key} must be a number between 0 and 100`);
+            }
+          });
+          if (value && value.low > value.mid) errors.push(`${field}.low must not exceed ${field}.mid`);
+          if (value && value.mid > value.high) errors.push(`${field}.mid must not exceed ${field}.high`);
+          break;
+        case 'cssColor':
+          if (typeof value !== 'string' || !/^(#[0-9a-f]{3,8}|(rgba?|hsla?)\([^)]*\))$/i.test(value.trim())) {
+            errors.push(`${field} must be a CSS color (#hex, rgb(), rgba(), hsl() or hsla())`);
+          }
+          break;
+        case 'featureProfile':
+          if (typeof value !== 'object' || value === null) {
+            errors.push(`${field} must be an object of 0-1 feature values`);
+            break;
+          }
+          Object.entries(value).forEach(([key, feature]) => {
+            if (!isNumber(feature) || feature < 0 || feature > 1) {
+              errors.push(`${field}.${key} must be a number between 0 and 1`);
+            }
+          });
+          break;
+        case 'audioProfile':
+          if (typeof value !== 'object' || value === null) {
+            errors.push(`${field} must be an object`);
+            break;
+          }
+          Object.entries(value).forEach(([key, setting]) => {
+            const range = AUDIO_PROFILE_SCHEMA[key];
+            if (key === 'emphasizedBands') {
+              if (typeof setting !== 'object' || setting === null) {
+                errors.push(`${field}.emphasizedBands must be an object of band -> gain`);
+                return;
+              }
+              Object.entries(setting).forEach(([band, gain]) => {
+                if (!AUDIO_PROFILE_BANDS.includes(band)) {
+                  errors.push(`${field}.emphasizedBands.${band}: unknown band (expected ${AUDIO_PROFILE_BANDS.join(', ')})`);
+                } else if (!isNumber(gain) || gain < 0 || gain > 4) {
+                  errors.push(`${field}.emphasizedBands.${band} must be a number between 0 and 4`);
+                }
+              });
+            } else if (!range) {
+              errors.push(`${field}.${key}: unknown setting`);
+            } else if (!isNumber(setting) || setting < range.min || setting > range.max) {
+              errors.push(`${field}.${key} must be a number between ${range.min} and ${range.max}`);
+            }
+          });
+          break;
+      }
+    });
+    
+    Object.keys(definition).forEach(field => {
+      if (!MOOD_SCHEMA[field]) errors.push(`${field} is not a known mood field`);
+    });
+    
+    return errors;
+  }
+  
+  /**
+   * Register a new mood
+   * @param {string} name - Mood key, e.g. 'euphoric'
+   * @param {object} definition - Mood definition (see MOOD_SCHEMA)
+   * @param {array} transitionsTo - Moods it may transition to (all moods when omitted;
+   *   existing moods may then also transition to it)
+   * @returns {boolean} - Whether the mood was registered
+   */
+  registerMood(name, definition, transitionsTo = null) {
+    if (typeof name !== 'string' || !/^[a-zA-Z][\w-]*$/.test(name)) {
+      console.error(`Invalid mood name: ${name}`);
+      return false;
+    }
+    if (this.moods[name]) {
+      console.error(`Mood already exists: ${name} (use updateMood)`);
+      return false;
+    }
+    
+    const errors = this.validateMood(definition);
+    const unknownTargets = (transitionsTo || []).filter(target => !this.moods[target]);
+    unknownTargets.forEach(target => errors.push(`transition target ${target} does not exist`));
+    if (errors.length > 0) {
+      console.error(`Invalid mood ${name}:\n  ${errors.join('\n  ')}`);
+      return false;
+    }
+    
+    const others = Object.keys(this.moods);
+    this.moods[name] = JSON.parse(JSON.stringify(definition));
+    this.transitionRules[name] = transitionsTo ? transitionsTo.slice() : others;
+    if (!transitionsTo) {
+      others.forEach(other => this.transitionRules[other].push(name));
+    }
+    
+    this.notifyListeners('moodRegistered', { mood: name });
+    return true;
+  }
+  
+  /**
+   * Update fields of an existing mood
+   * @param {string} name - Mood key
+   * @param {object} changes - Fields to change
+   * @returns {boolean} - Whether the mood was updated
+   */
+  updateMood(name, changes) {
+    if (!this.moods[name]) {
+      console.error(`Invalid mood: ${name}`);
+      return false;
+    }
+    
+    const updated = { ...this.moods[name], ...changes };
+    const errors = this.validateMood(updated);
+    if (errors.length > 0) {
+      console.error(`Invalid update for mood ${name}:\n  ${errors.join('\n  ')}`);
+      return false;
+    }
+    
+    this.moods[name] = JSON.parse(JSON.stringify(updated));
+    this.notifyListeners('moodUpdated', { mood: name, fields: Object.keys(changes) });
+    return true;
+  }
+  
+  /**
+   * Remove a mood (not the current one)
+   * @param {string} name - Mood key
+   * @returns {boolean} - Whether the mood was removed
+   */
+  removeMood(name) {
+    if (!this.moods[name]) {
+      console.error(`Invalid mood: ${name}`);
+      return false;
+    }
+    if (name === this.currentMood || (this.blend && this.blend.weights[name])) {
+      console.error(`Cannot remove the current mood: ${name}`);
+      return false;
+    }
+    
+    delete this.moods[name];
+    delete this.transitionRules[name];
+    this.transitionQueue = this.transitionQueue.filter(entry => entry.mood !== name);
+    this.route = this.route.filter(mood => mood !== name);
+    Object.keys(this.transitionEdges).forEach(key => {
+      if (key.split('->').includes(name)) delete this.transitionEdges[key];
+    });
+    Object.keys(this.transitionRules).forEach(mood => {
+      this.transitionRules[mood] = this.transitionRules[mood].filter(target => target !== name);
+    });
+    
+    this.notifyListeners('moodRemoved', { mood: name });
+    return true;
+  }
+  
+  /**
+   * Set which moods a mood may transition to directly. Edge settings for
+   * targets no longer allowed are dropped along with the rule.
+   * @param {string} name - Mood key
+   * @param {array} targets - Mood keys
+   * @returns {boolean} - Whether the rules were set
+   */
+  setTransitionRules(name, targets) {
+    const errors = this.validateTransitionRules({ [name]: targets }, Object.keys(this.moods));
+    if (errors.length > 0) {
+      console.error(`Invalid transition rules:\n  ${errors.join('\n  ')}`);
+      return false;
+    }
+    
+    this.transitionRules[name] = targets.slice();
+    Object.keys(this.transitionEdges).forEach(key => {
+      const [from, to] = key.split('->');
+      if (from === name && !targets.includes(to)) delete this.transitionEdges[key];
+    });
+    return true;
+  }
+  
+  /**
+   * Validate transition rules against a set of mood names
+   * @returns {array} - Error messages, empty when valid
+   */
+  validateTransitionRules(rules, moodNames) {
+    if (!rules || typeof rules !== 'object') {
+      return ['transitionRules must be an object'];
+    }
+    
+    const errors = [];
+    Object.entries(rules).forEach(([from, targets]) => {
+      if (!moodNames.includes(from)) errors.push(`transitionRules.${from}: mood does not exist`);
+      if (!Array.isArray(targets)) {
+        errors.push(`transitionRules.${from} must be an array of mood names`);
+        return;
+      }
+      targets.forEach(target => {
+        if (!moodNames.includes(target)) errors.push(`transitionRules.${from}: target ${target} does not exist`);
+        if (target === from) errors.push(`transitionRules.${from}: a mood cannot transition to itself`);
+      });
+    });
+    return errors;
+  }
+  
+  /**
+   * Export all mood definitions and transition rules as a mood pack. Easing functions
+   * have no JSON form, so a pack using them is refused rather than written without them.
+   * @returns {string|null} - JSON mood pack, null if it cannot be exported
+   */
+  exportMoodPack() {
+    const pack = {
+      version: MOOD_PACK_VERSION,
+      moods: this.moods,
+      transitionRules: this.transitionRules,
+      transitionEdges: this.transitionEdges,
+      parameterTimings: this.parameterTimings
+    };
+    
+    const errors = MoodEngine.findFunctions(pack).map(path =>
+      `${path}: easing functions cannot be exported, use a named, steps() or cubic-bezier() easing`);
+    if (errors.length > 0) {
+      console.error(`Mood pack cannot be exported:\n  ${errors.join('\n  ')}`);
+      return null;
+    }
+    return JSON.stringify(pack, null, 2);
+  }
+  
+  /**
+   * Paths of all functions inside a value, e.g. 'transitionEdges.calm->energetic.easing'
+   * @returns {array} - Dotted paths
+   */
+  static findFunctions(value, path = '') {
+    if (typeof value === 'function') return [path];
+    if (!value || typeof value !== 'object') return [];
+    return Object.entries(value).flatMap(([key, child]) =>
+      MoodEngine.findFunctions(child, path ? `${path}.${key}` : key));
+  }
+  
+  /**
+   * Replace all moods with those of a mood pack. The pack is validated as a whole
+   * and nothing changes if any part of it is invalid.
+   * @param {string|object} pack - JSON string or parsed mood pack
+   * @returns {boolean} - Whether the pack was loaded
+   */
+  importMoodPack(pack) {
+    let data = pack;
+    if (typeof pack === 'string') {
+      try {
+        data = JSON.parse(pack);
+      } catch (error) {
+        console.error('Mood pack is not valid JSON:', error.message);
+        return false;
+      }
+    }
+    
+    if (!data || typeof data !== 'object' || !data.moods || typeof data.moods !== 'object') {
+      console.error('Mood pack must contain a moods object');
+      return false;
+    }
+    if (data.version !== undefined && data.version > MOOD_PACK_VERSION) {
+      console.error(`Unsupported mood pack version: ${data.version}`);
+      return false;
+    }
+    
+    const moodNames = Object.keys(data.moods);
+    const errors = [];
+    if (moodNames.length === 0) errors.push('Mood pack must define at least one mood');
+    moodNames.forEach(name => {
+      if (!/^[a-zA-Z][\w-]*$/.test(name)) errors.push(`Invalid mood name: ${name}`);
+      this.validateMood(data.moods[name]).forEach(error => errors.push(`${name}: ${error}`));
+    });
+    
+    // Missing rules default to allowing every other mood
+    const rules = {};
+    moodNames.forEach(name => {
+      rules[name] = data.transitionRules && data.transitionRules[name] ?
+        data.transitionRules[name] : moodNames.filter(other => other !== name);
+    });
+    errors.push(...this.validateTransitionRules({ ...data.transitionRules, ...rules }, moodNames));
+    errors.push(...this.validateTransitionEdges(data.transitionEdges, rules));
+    if (data.parameterTimings !== undefined) {
+      errors.push(...this.validateParameterTimings(data.parameterTimings, 'parameterTimings'));
+    }
+    
+    if (errors.length > 0) {
+      console.error(`Invalid mood pack:\n  ${errors.join('\n  ')}`);
+      return false;
+    }
+    
+    this.moods = JSON.parse(JSON.stringify(data.moods));
+    this.transitionRules = JSON.parse(JSON.stringify(rules));
+    this.transitionEdges = JSON.parse(JSON.stringify(data.transitionEdges || {}));
+    this.parameterTimings = JSON.parse(JSON.stringify(data.parameterTimings || {}));
+    this.transitionQueue = [];
+    this.route = [];
+    this.blend = null;
+    
+    // Keep the current mood if the pack has it, otherwise jump to the pack's first mood
+    if (!this.moods[this.currentMood]) {
+      this.currentMood = moodNames[0];
+      this.isTransitioning = false;
+      this.transitionFrom = null;
+    }
+    
+    this.notifyListeners('moodPackLoaded', { moods: moodNames, currentMood: this.currentMood });
+    return true;
+  }
+  
+  /**
+   * Enable automatic mood changes driven by updateAutoMood()
+   * @param {object} options - Overrides for autoMood settings (window, minDwell, hysteresis, ...)
+   */
+  enableAutoMood(options = {}) {
+    this.autoMood = { ...this.autoMood, ...options, enabled: true };
+    this.featureWindow = [];
+    this.notifyListeners('autoMoodEnabled', { ...this.autoMood });
+  }
+  
+  /**
+   * Disable automatic mood changes (estimates are still computed)
+   */
+  disableAutoMood() {
+    this.autoMood.enabled = false;
+    this.notifyListeners('autoMoodDisabled', {});
+  }
+  
+  /**
+   * Feed analyzer features and switch mood when the estimate is confident and stable
+   * @param {object} features - 0-1 features, see MoodEngine.extractFeatures()
+   * @param {number} time - Timestamp in milliseconds
+   * @returns {object} - Current estimate { mood, confidence, scores }
+   */
+  updateAutoMood(features, time = this.clock.now()) {
+    this.featureWindow.push({ time, features });
+    while (this.featureWindow.length > 0 && this.featureWindow[0].time < time - this.autoMood.window) {
+      this.featureWindow.shift();
+    }
+    
+    // Average the window so single loud bars do not swing the estimate
+    const averaged = {};
+    Object.keys(this.autoMood.featureWeights).forEach(key => {
+      const values = this.featureWindow.map(entry => entry.features[key]).filter(value => typeof value === 'number');
+      if (values.length > 0) {
+        averaged[key] = values.reduce((sum, value) => sum + value, 0) / values.length;
+      }
+    });
+    
+    this.autoMoodEstimate = this.classifyMood(averaged);
+    
+    const { mood, confidence, scores } = this.autoMoodEstimate;
+    
+    if (this.autoMood.enabled && this.autoMood.mode === 'blend') {
+      // Only re-blend on meaningful changes so listeners are not flooded every frame
+      const current = this.blend ? this.blend.weights : {};
+      const change = Math.max(...Object.keys(scores).map(name => Math.abs(scores[name] - (current[name] || 0))));
+      if (change >= 0.05) {
+        this.setBlend(scores, 1000, 'auto');
+      }
+      return this.autoMoodEstimate;
+    }
+    
+    const margin = confidence - (scores[this.currentMood] || 0);
+    const canSwitch = this.autoMood.enabled &&
+      !this.isTransitioning &&
+      mood !== this.currentMood &&
+      confidence >= this.autoMood.minConfidence &&
+      margin >= this.autoMood.hysteresis &&
+      time - this.lastMoodChangeTime >= this.autoMood.minDwell;
+    
+    if (canSwitch) {
+      const from = this.currentMood;
+      if (this.changeMood(mood, { source: 'auto' })) {
+        this.notifyListeners('autoMoodChange', { from, to: mood, confidence });
+      }
+    }
+    
+    return this.autoMoodEstimate;
+  }
+  
+  /**
+   * Score every mood against a feature set
+   * @param {object} features - 0-1 features
+   * @returns {object} - { mood, confidence, scores } with scores summing to 1
+   */
+  classifyMood(features) {
+    const weights = this.autoMood.featureWeights;
+    const distances = {};
+    
+    Object.keys(this.moods).forEach(moodName => {
+      const profile = this.getFeatureProfile(moodName);
+      let distance = 0;
+      let totalWeight = 0;
+      Object.keys(weights).forEach(key => {
+        if (typeof features[key] !== 'number' || typeof profile[key] !== 'number') return;
+        distance += weights[key] * Math.pow(features[key] - profile[key], 2);
+        totalWeight += weights[key];
+      });
+      distances[moodName] = totalWeight > 0 ? distance / totalWeight : 0;
+    });
+    
+    // Softmax over negative distances
+    const closest = Math.min(...Object.values(distances));
+    const exponentials = {};
+    let total = 0;
+    Object.entries(distances).forEach(([moodName, distance]) => {
+      exponentials[moodName] = Math.exp(-(distance - closest) / this.autoMood.temperature);
+      total += exponentials[moodName];
+    });
+    
+    const scores = {};
+    let best = null;
+    Object.entries(exponentials).forEach(([moodName, value]) => {
+      scores[moodName] = value / total;
+      if (!best || scores[moodName] > scores[best]) best = moodName;
+    });
+    
+    return { mood: best, confidence: best ? scores[best] : 0, scores };
+  }
+  
+  /**
+   * Complete audio response profile of a mood or snapshot, with defaults for
+   * missing settings and a gain for every band
+   * @param {object} mood - Mood definition or mixed parameters
+   * @returns {object} - { beatThreshold, beatSensitivity, smoothingTimeConstant, onsetCooldown, emphasizedBands }
+   */
+  getAudioProfile(mood) {
+    const source = mood.audioProfile || {};
+    const profile = {};
+    Object.entries(AUDIO_PROFILE_SCHEMA).forEach(([key, range]) => {
+      const value = typeof source[key] === 'number' ? source[key] : range.default;
+      profile[key] = Math.max(range.min, Math.min(range.max, value));
+    });
+    
+    profile.emphasizedBands = {};
+    AUDIO_PROFILE_BANDS.forEach(band => {
+      const gain = source.emphasizedBands && source.emphasizedBands[band];
+      profile.emphasizedBands[band] = typeof gain === 'number' ? Math.max(0, gain) : 1;
+    });
+    return profile;
+  }
+  
+  /**
+   * Get the feature profile of a mood; moods without one get a profile
+   * derived from their visual parameters
+   * @param {string} moodName - Name of the mood
+   * @returns {object} - 0-1 feature values
+   */
+  getFeatureProfile(moodName) {
+    const mood = this.moods[moodName];
+    if (!mood) return {};
+    if (mood.featureProfile) return mood.featureProfile;
+    
+    return {
+      energy: mood.visualIntensity * 0.7,
+      brightness: mood.brightness * 0.5,
+      flux: Math.min(1, mood.particleSpeed / 4),
+      entropy: 0.6 + mood.visualIntensity * 0.2,
+      bass: Math.min(1, mood.pulseFactor / 3),
+      minor: 0.5
+    };
+  }
+  
+  /**
+   * Get the latest automatic mood estimate
+   * @returns {object} - { enabled, mood, confidence, scores }
+   */
+  getAutoMoodState() {
+    return { enabled: this.autoMood.enabled, ...this.autoMoodEstimate };
+  }
+  
+  /**
+   * Map AudioAnalyzer output to the 0-1 features used for mood classification
+   * @param {AudioAnalyzer} analyzer - Analyzer updated this frame
+   * @returns {object} - { energy, brightness, flux, entropy, bass, minor }
+   */
+  static extractFeatures(analyzer) {
+    const stats = analyzer.getStats();
+    const clamp = value => Math.max(0, Math.min(1, value));
+    
+    return {
+      energy: clamp(stats.totalEnergy * 1.5),
+      brightness: clamp(stats.spectralCentroid / 8000),
+      flux: clamp(stats.spectralFlux * 5),
+      entropy: clamp(stats.entropy / Math.log2(analyzer.frequencyBinCount)),
+      bass: clamp(analyzer.getBandEnergy('bass')),
+      // Minor keys lean melancholic; an uncertain key says nothing either way
+      minor: stats.keyMode ? 0.5 + (stats.keyMode === 'minor' ? 0.5 : -0.5) * stats.keyConfidence : 0.5
+    };
+  }
+  
+  /**
+   * Start a new session log, beginning with the mood on screen now
+   * @param {number} maxEntries - Oldest entries are dropped beyond this many
+   */
+  clearSessionLog(maxEntries = 10000) {
+    this.sessionLog = {
+      startedAt: new Date().toISOString(),
+      maxEntries,
+      entries: []
+    };
+    this.recordMoodChange({
+      mood: this.currentMood,
+      from: null,
+      target: this.currentMood,
+      source: 'initial',
+      duration: 0,
+      easing: null,
+      interrupted: false,
+      routed: false,
+      blend: this.blend ? { ...this.blend.weights } : undefined
+    });
+  }
+  
+  /**
+   * Time the session log on another clock, e.g. a ManualClock in tests.
+   * Entries already logged are shifted so their spacing is kept.
+   * @param {object} clock - Object with now() in ms
+   */
+  setSessionClock(clock) {
+    const offset = clock.now() - this.sessionClock.now();
+    this.sessionLog.entries.forEach(entry => {
+      entry.time += offset;
+    });
+    this.sessionClock = clock;
+  }
+  
+  /**
+   * Append a mood change to the session log. Features default to the newest
+   * ones passed to updateAutoMood; auto changes also record the classifier confidence.
+   * @param {object} entry - { mood, from, target, source, duration, easing, interrupted, routed, features, blend }
+   *   routed marks the later hops of one routed change
+   */
+  recordMoodChange(entry) {
+    const latest = this.featureWindow[this.featureWindow.length - 1];
+    const features = entry.features || (latest ? latest.features : null);
+    const record = {
+      ...entry,
+      time: this.sessionClock.now(),
+      features: features ? { ...features } : null,
+      confidence: entry.source === 'auto' ? this.autoMoodEstimate.confidence : null
+    };
+    if (record.blend === undefined) delete record.blend;
+    
+    const { entries, maxEntries } = this.sessionLog;
+    entries.push(record);
+    if (entries.length > maxEntries) {
+      entries.splice(0, entries.length - maxEntries);
+    }
+  }
+  
+  /**
+   * Get a copy of the session log entries
+   * @returns {array} - Entries in order, times in session clock ms
+   */
+  getSessionLog() {
+    return this.sessionLog.entries.map(entry => ({ ...entry }));
+  }
+  
+  /**
+   * Aggregate the session log. Time is credited to a mood from the start of the
+   * transition into it (or the blend it dominates) until the next change; the later
+   * hops of a routed change get their time but do not count as changes.
+   * @param {number} time - End of the session in session clock ms, now by default
+   * @returns {object} - { duration, changes, changesBySource, timePerMood, moodShare, averageDwell }
+   */
+  getSessionStats(time = this.sessionClock.now()) {
+    const entries = this.sessionLog.entries;
+    const timePerMood = {};
+    const changesBySource = {};
+    let changes = 0;
+    
+    entries.forEach((entry, index) => {
+      const end = index + 1 < entries.length ? entries[index + 1].time : time;
+      timePerMood[entry.mood] = (timePerMood[entry.mood] || 0) + Math.max(0, end - entry.time);
+      if (entry.source !== 'initial' && !entry.routed) {
+        changesBySource[entry.source] = (changesBySource[entry.source] || 0) + 1;
+        changes++;
+      }
+    });
+    
+    const duration = Object.values(timePerMood).reduce((sum, value) => sum + value, 0);
+    const moodShare = {};
+    Object.keys(timePerMood).forEach(mood => {
+      moodShare[mood] = duration > 0 ? timePerMood[mood] / duration : 0;
+    });
+    
+    return {
+      startedAt: this.sessionLog.startedAt,
+      duration,
+      changes,
+      changesBySource,
+      timePerMood,
+      moodShare,
+      averageDwell: entries.length > 0 ? duration / entries.length : 0
+    };
+  }
+  
+  /**
+   * Export the session log
+   * @param {string} format - 'json' (entries and stats) or 'csv' (one row per entry, a column per feature)
+   * @returns {string|null} - Exported log, null for an unknown format
+   */
+  exportSessionLog(format = 'json') {
+    const entries = this.sessionLog.entries;
+    
+    if (format === 'json') {
+      return JSON.stringify({
+        version: 1,
+        startedAt: this.sessionLog.startedAt,
+        stats: this.getSessionStats(),
+        entries
+      }, null, 2);
+    }
+    
+    if (format === 'csv') {
+      const featureKeys = [...new Set(entries.flatMap(entry => Object.keys(entry.features || {})))].sort();
+      const columns = ['time', 'mood', 'from', 'target', 'source', 'duration', 'easing', 'interrupted', 'routed', 'confidence', 'blend'];
+      const escape = value => {
+        if (value === null || value === undefined) return '';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      };
+      
+      const rows = entries.map(entry => [
+        ...columns.map(column => escape(entry[column])),
+        ...featureKeys.map(key => escape(entry.features ? entry.features[key] : null))
+      ].join(','));
+      return [[...columns, ...featureKeys].join(','), ...rows].join('\n');
+    }
+    
+    console.error(`Unknown session log format: ${format}`);
+    return null;
+  }
+  
   /**
    * Get frequency band for current mood
    * @returns {object} - Frequency band configuration
    */
   getFrequencyBand() {
     const moodData = this.getInterpolatedMoodData();
-    return moodData.frequencyBand || { low: 0, mid: 50, high: 100 };
+    return {
+      ...(moodData.frequencyBand || { low: 0, mid: 50, high: 100 }),
+      layout: moodData.bandLayout || 'three-band'
+    };
   }
   
   /**
@@ -342,7 +1944,9 @@ class MoodEngine {
     return {
       sensitivity: moodData.audioResponseSensitivity,
       frequencyBand: moodData.frequencyBand,
-      responseSmoothing: 1 - moodData.audioResponseSensitivity
+      bandLayout: moodData.bandLayout,
+      responseSmoothing: 1 - moodData.audioResponseSensitivity,
+      audioProfile: this.getAudioProfile(moodData) // see AudioAnalyzer.applyAudioProfile
     };
   }
   
@@ -350,6 +1954,8 @@ class MoodEngine {
    * Reset mood to calm
    */
   reset() {
+    this.transitionQueue = [];
+    this.route = [];
     if (this.currentMood !== 'calm') {
       this.changeMood('calm');
     }
@@ -370,7 +1976,397 @@ class MoodEngine {
   }
 }
 
+/**
+ * MoodTimeline - Mood cues against track position, authored as a script such as
+ * "0:00 calm, 1:12 energetic over 4 s, 2:40 heartbreak with easeOutExpo".
+ * The timeline is also a clock (now() = position in ms): an attached engine runs its
+ * transitions on playback time, so they pause with the track and jump when it seeks.
+ */
+class MoodTimeline {
+  /**
+   * @param {MoodEngine} engine - Engine whose moods the cues refer to
+   */
+  constructor(engine) {
+    this.engine = engine;
+    this.cues = []; // { time (s), mood, duration (ms), easing, parameters }, sorted by time
+    this.position = 0; // seconds
+    this.activeIndex = -1;
+    this.seekThreshold = 0.5; // seconds; larger jumps between updates are treated as seeks
+    this.attached = false;
+    this.previousClock = null;
+  }
+  
+  /**
+   * Current position in milliseconds (clock interface)
+   */
+  now() {
+    return this.position * 1000;
+  }
+  
+  /**
+   * Drive the engine from this timeline: its clock becomes the track position
+   */
+  attach() {
+    if (this.attached) return;
+    this.previousClock = this.engine.clock;
+    this.engine.setClock(this);
+    this.attached = true;
+    this.seek(this.position);
+  }
+  
+  /**
+   * Hand the engine back its previous clock
+   */
+  detach() {
+    if (!this.attached) return;
+    this.engine.setClock(this.previousClock);
+    this.previousClock = null;
+    this.attached = false;
+  }
+  
+  /**
+   * Follow playback. Call every frame with the track position; the cue that was
+   * just reached starts fading from what is on screen, jumps are handled as seeks.
+   * @param {number} position - Track position in seconds
+   */
+  update(position) {
+    const jump = position - this.position;
+    if (jump < 0 || jump > this.seekThreshold) {
+      this.seek(position);
+      return;
+    }
+    
+    this.position = position;
+    const index = this.getCueIndexAt(position);
+    if (index === this.activeIndex || !this.attached) return;
+    
+    if (index === this.activeIndex + 1) {
+      this.activeIndex = index;
+      this.applyCue(index, this.engine.captureMoodSnapshot(), false);
+    } else {
+      this.seek(position);
+    }
+  }
+  
+  /**
+   * Jump to a position, putting the engine in the state the script defines there
+   * (mid-transition if a cue is still fading). The first cue applies without a fade.
+   * @param {number} position - Track position in seconds
+   */
+  seek(position) {
+    this.position = Math.max(0, position);
+    this.activeIndex = this.getCueIndexAt(this.position);
+    if (!this.attached || this.activeIndex < 0) return;
+    
+    const cue = this.cues[this.activeIndex];
+    const from = this.activeIndex > 0 ? this.getStateAt(cue.time, this.activeIndex - 1) : null;
+    this.applyCue(this.activeIndex, from, true);
+  }
+  
+  /**
+   * Start a cue's transition at the right point relative to the current position
+   */
+  applyCue(index, from, seeking) {
+    const cue = this.cues[index];
+    const timing = this.getCueTiming(index);
+    this.engine.setTransitionState(cue.mood, {
+      from,
+      elapsed: (this.position - cue.time) * 1000,
+      source: 'scheduled',
+      ...timing
+    });
+    this.engine.notifyListeners('moodCue', { index, cue: { ...cue }, position: this.position, seek: seeking });
+  }
+  
+  /**
+   * Resolved duration, easing and parameter timings of a cue: the cue's own settings
+   * over those of the transition edge from the previous cue's mood
+   * @returns {object} - { duration, easing, parameters }
+   */
+  getCueTiming(index) {
+    const cue = this.cues[index];
+    const previous = index > 0 ? this.cues[index - 1].mood : cue.mood;
+    const edge = this.engine.getTransitionEdge(previous, cue.mood);
+    return {
+      duration: cue.duration !== undefined ? cue.duration : edge.duration,
+      easing: cue.easing !== undefined ? cue.easing : edge.easing,
+      parameters: { ...this.engine.parameterTimings, ...edge.parameters, ...cue.parameters }
+    };
+  }
+  
+  /**
+   * Mood parameters the script defines at a position, independent of what is on screen
+   * @param {number} time - Track position in seconds
+   * @param {number} index - Cue in effect (found from time by default)
+   * @returns {object|null} - Mood parameters, null before the first cue
+   */
+  getStateAt(time, index = this.getCueIndexAt(time)) {
+    if (index < 0) return null;
+    
+    const cue = this.cues[index];
+    const target = this.engine.moods[cue.mood];
+    const timing = this.getCueTiming(index);
+    const progress = (time - cue.time) * 1000 / timing.duration;
+    if (index === 0 || progress >= 1) {
+      return this.engine.mixMoods([{ mood: target, weight: 1 }]);
+    }
+    
+    const from = this.getStateAt(cue.time, index - 1);
+    return this.engine.interpolateParameters(from, target, progress, timing.easing, timing.parameters);
+  }
+  
+  /**
+   * Index of the last cue at or before a position
+   * @returns {number} - Cue index, -1 before the first cue
+   */
+  getCueIndexAt(position) {
+    for (let i = this.cues.length - 1; i >= 0; i--) {
+      if (this.cues[i].time <= position) return i;
+    }
+    return -1;
+  }
+  
+  /**
+   * Validate a cue
+   * @returns {array} - Error messages, empty when valid
+   */
+  validateCue(cue) {
+    if (!cue || typeof cue !== 'object') {
+      return ['Cue must be an object'];
+    }
+    
+    const errors = [];
+    const label = `Cue at ${typeof cue.time === 'number' ? MoodTimeline.formatTime(cue.time) : cue.time}`;
+    if (typeof cue.time !== 'number' || !Number.isFinite(cue.time) || cue.time < 0) {
+      errors.push(`${label}: time must be a non-negative number of seconds`);
+    }
+    if (!this.engine.moods[cue.mood]) {
+      errors.push(`${label}: invalid mood ${cue.mood}`);
+    }
+    const { duration, easing, parameters } = cue;
+    errors.push(...this.engine.validateTransitionOptions({ duration, easing, parameters }, label));
+    return errors;
+  }
+  
+  /**
+   * Add a cue, keeping cues sorted by time (later additions go after equal times)
+   * @param {object} cue - { time (s), mood, duration (ms), easing, parameters }
+   * @returns {boolean} - Whether the cue was added
+   */
+  addCue(cue) {
+    const errors = this.validateCue(cue);
+    if (errors.length > 0) {
+      console.error(`Invalid mood cue:\n  ${errors.join('\n  ')}`);
+      return false;
+    }
+    
+    const index = this.getCueIndexAt(cue.time) + 1;
+    this.cues.splice(index, 0, MoodTimeline.copyCue(cue));
+    this.seek(this.position);
+    return true;
+  }
+  
+  /**
+   * Remove the cue at an index
+   * @returns {boolean} - Whether a cue was removed
+   */
+  removeCue(index) {
+    if (!this.cues[index]) return false;
+    this.cues.splice(index, 1);
+    this.seek(this.position);
+    return true;
+  }
+  
+  /**
+   * Replace all cues. Nothing changes if any cue is invalid.
+   * @param {array} cues - Cue objects
+   * @returns {boolean} - Whether the cues were set
+   */
+  setCues(cues) {
+    if (!Array.isArray(cues)) {
+      console.error('Mood cues must be an array');
+      return false;
+    }
+    
+    const errors = [];
+    cues.forEach(cue => errors.push(...this.validateCue(cue)));
+    if (errors.length > 0) {
+      console.error(`Invalid mood cues:\n  ${errors.join('\n  ')}`);
+      return false;
+    }
+    
+    // Stable sort keeps the authored order of cues sharing a time
+    this.cues = cues.map(MoodTimeline.copyCue).sort((a, b) => a.time - b.time);
+    this.seek(this.position);
+    return true;
+  }
+  
+  /**
+   * Get a copy of the cues
+   */
+  getCues() {
+    return this.cues.map(MoodTimeline.copyCue);
+  }
+  
+  /**
+   * Replace all cues with those of a mood script
+   * @param {string} script - Cues separated by commas or new lines (see parseScript)
+   * @returns {boolean} - Whether the script was loaded
+   */
+  loadScript(script) {
+    const { cues, errors } = MoodTimeline.parseScript(script);
+    if (errors.length > 0) {
+      console.error(`Invalid mood script:\n  ${errors.join('\n  ')}`);
+      return false;
+    }
+    return this.setCues(cues);
+  }
+  
+  /**
+   * Write the cues back as a mood script. Scripts have no syntax for per-parameter
+   * timings or easing functions, so cues using them are refused rather than dropped;
+   * toJSON keeps everything but functions.
+   * @returns {string|null} - One cue per line, null if a cue cannot be written as script
+   */
+  toScript() {
+    const errors = [];
+    const lines = this.cues.map(cue => {
+      const label = `Cue at ${MoodTimeline.formatTime(cue.time)}`;
+      let line = `${MoodTimeline.formatTime(cue.time)} ${cue.mood}`;
+      if (cue.duration !== undefined) line += ` over ${cue.duration / 1000} s`;
+      if (cue.easing !== undefined) {
+        const easing = MoodTimeline.formatEasing(cue.easing);
+        if (easing === null) errors.push(`${label}: easing functions cannot be written as script`);
+        line += ` with ${easing}`;
+      }
+      if (cue.parameters !== undefined && Object.keys(cue.parameters).length > 0) {
+        errors.push(`${label}: per-parameter timings cannot be written as script`);
+      }
+      return line;
+    });
+    
+    if (errors.length > 0) {
+      console.error(`Mood timeline cannot be written as script, use toJSON:\n  ${errors.join('\n  ')}`);
+      return null;
+    }
+    return lines.join('\n');
+  }
+  
+  /**
+   * Script form of an easing: names and steps()/cubic-bezier() strings as they are,
+   * { type: 'steps' } and { type: 'cubicBezier' } objects in their string syntax
+   * @returns {string|null} - Null for easing functions
+   */
+  static formatEasing(easing) {
+    if (typeof easing === 'string') return easing;
+    if (easing && easing.type === 'steps') {
+      return easing.position ? `steps(${easing.count}, ${easing.position})` : `steps(${easing.count})`;
+    }
+    if (easing && easing.type === 'cubicBezier') {
+      return `cubic-bezier(${easing.x1}, ${easing.y1}, ${easing.x2}, ${easing.y2})`;
+    }
+    return null;
+  }
+  
+  /**
+   * Serializable form, stored with the track (FeatureTrack.moodTimeline).
+   * Lossless apart from easing functions, which JSON cannot hold.
+   */
+  toJSON() {
+    return {
+      version: 1,
+      cues: this.getCues()
+    };
+  }
+  
+  /**
+   * Load cues saved by toJSON
+   * @param {string|object} data - JSON string or parsed object
+   * @returns {boolean} - Whether the cues were loaded
+   */
+  load(data) {
+    let parsed = data;
+    if (typeof data === 'string') {
+      try {
+        parsed = JSON.parse(data);
+      } catch (error) {
+        console.error('Mood timeline is not valid JSON:', error.message);
+        return false;
+      }
+    }
+    if (!parsed || !Array.isArray(parsed.cues)) {
+      console.error('Mood timeline must contain a cues array');
+      return false;
+    }
+    return this.setCues(parsed.cues);
+  }
+  
+  /**
+   * Parse a mood script. Each cue is "<time> <mood> [over <n> s|ms] [with <easing>]",
+   * with time as seconds, m:ss or h:mm:ss (fractions allowed).
+   * @param {string} script - Cues separated by commas or new lines
+   * @returns {object} - { cues, errors }
+   */
+  static parseScript(script) {
+    const cues = [];
+    const errors = [];
+    const pattern = /^(\S+)\s+([a-zA-Z][\w-]*)(?:\s+over\s+(\d+(?:\.\d+)?)\s*(ms|s)\b)?(?:\s+with\s+(.+))?$/;
+    
+    // Commas inside easings such as cubic-bezier(...) do not separate cues
+    String(script).split(/\n|,(?![^(]*\))/).map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const match = entry.match(pattern);
+      const time = match ? MoodTimeline.parseTime(match[1]) : null;
+      if (!match || time === null) {
+        errors.push(`Cannot parse cue: "${entry}"`);
+        return;
+      }
+      
+      const cue = { time, mood: match[2] };
+      if (match[3] !== undefined) cue.duration = Number(match[3]) * (match[4] === 's' ? 1000 : 1);
+      if (match[5] !== undefined) cue.easing = match[5].trim();
+      cues.push(cue);
+    });
+    
+    return { cues, errors };
+  }
+  
+  /**
+   * Parse "75", "75.5s", "1:15" or "0:01:15" into seconds
+   * @returns {number|null} - Seconds, null if not a time
+   */
+  static parseTime(text) {
+    const seconds = text.match(/^(\d+(?:\.\d+)?)s?$/);
+    if (seconds) return Number(seconds[1]);
+    
+    const clock = text.match(/^(?:(\d+):)?(\d+):([0-5]\d(?:\.\d+)?)$/);
+    if (!clock) return null;
+    return Number(clock[1] || 0) * 3600 + Number(clock[2]) * 60 + Number(clock[3]);
+  }
+  
+  /**
+   * Format seconds as m:ss (with milliseconds when needed)
+   */
+  static formatTime(time) {
+    const total = Math.round(time * 1000) / 1000;
+    const minutes = Math.floor(total / 60);
+    const seconds = Math.round((total - minutes * 60) * 1000) / 1000;
+    return `${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
+  }
+  
+  /**
+   * Copy a cue, keeping only cue fields
+   */
+  static copyCue(cue) {
+    const copy = { time: cue.time, mood: cue.mood };
+    if (cue.duration !== undefined) copy.duration = cue.duration;
+    if (cue.easing !== undefined) copy.easing = typeof cue.easing === 'object' ? { ...cue.easing } : cue.easing;
+    if (cue.parameters !== undefined) copy.parameters = JSON.parse(JSON.stringify(cue.parameters));
+    return copy;
+  }
+}
+
 // Export for use in modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = MoodEngine;
+  module.exports.MoodTimeline = MoodTimeline;
 }
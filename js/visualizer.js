@@ -1,11 +1,59 @@
 /**
  * Advanced Audio-Reactive Visualization Engine
  * Features: Particle Systems, Waveforms, Reactive Geometry, Impact Effects
+ *
+ * Everything drawn is a layer (see addLayer). A layer is any object with
+ *   update(frame)       optional, called before render while the layer is enabled
+ *   render(ctx, frame)  draws onto the shared canvas
+ *   dispose()           optional, called when the layer is removed
+ * where frame = { time, deltaTime, width, height, audio, smoothed, analysis, mood, pan }.
  */
 
+/**
+ * Canvas globalCompositeOperation values accepted as layer blend modes
+ */
+const BLEND_MODES = [
+  'source-over', 'source-in', 'source-out', 'source-atop',
+  'destination-over', 'destination-in', 'destination-out', 'destination-atop',
+  'lighter', 'copy', 'xor', 'multiply', 'screen', 'overlay', 'darken', 'lighten',
+  'color-dodge', 'color-burn', 'hard-light', 'soft-light', 'difference', 'exclusion',
+  'hue', 'saturation', 'color', 'luminosity'
+];
+
+// Time sources from clock.js: a global in the page (loaded first), required under Node
+const VisualizerClocks = typeof WallClock !== 'undefined' ? { WallClock } : require('./clock.js');
+
+// Band layouts from audioAnalyzer.js, loaded before this file in the page
+const VisualizerBandLayout = typeof BandLayout !== 'undefined' ? BandLayout : require('./audioAnalyzer.js').BandLayout;
+
+/**
+ * Seeded random source (mulberry32) with the same contract as Math.random, for
+ * reproducible particle and impact placement in tests and offline renders
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function} - Returns a number in [0, 1) on each call
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 class AdvancedVisualizer {
-  constructor(canvas) {
+  /**
+   * @param {HTMLCanvasElement} canvas - Target canvas
+   * @param {object} clock - Time source with now() in ms (see clock.js); defaults to a WallClock
+   * @param {function} random - Random source in [0, 1) for particles and impacts, e.g.
+   *   createSeededRandom(seed) for reproducible frames; defaults to Math.random
+   */
+  constructor(canvas, clock = null, random = Math.random) {
     this.canvas = canvas;
+    this.clock = clock || new VisualizerClocks.WallClock();
+    this.random = random;
     this.ctx = canvas.getContext('2d');
     this.width = canvas.width;
     this.height = canvas.height;
@@ -15,7 +63,7 @@ class AdvancedVisualizer {
     this.isRunning = false;
     this.time = 0;
     this.deltaTime = 0;
-    this.lastFrameTime = performance.now();
+    this.lastFrameTime = this.clock.now();
     
     // Audio data
     this.audioData = {
@@ -29,10 +77,15 @@ class AdvancedVisualizer {
     };
     
     // Visual systems
-    this.particleSystem = new ParticleSystem();
+    this.particleSystem = new ParticleSystem(random);
     this.waveformRenderer = new WaveformRenderer();
     this.reactiveGeometry = new ReactiveGeometry();
-    this.impactEffects = new ImpactEffects();
+    this.impactEffects = new ImpactEffects(random);
+    this.goniometer = new GoniometerRenderer();
+    this.spectrogram = new SpectrogramRenderer();
+    
+    // Layer registry, drawn first to last: { name, layer, opacity, blendMode, enabled, configKey }
+    this.layers = [];
     
     // Configuration
     this.config = {
@@ -40,22 +93,224 @@ class AdvancedVisualizer {
       waveformEnabled: true,
       geometryEnabled: true,
       impactEnabled: true,
+      goniometerEnabled: false,
+      spectrogramEnabled: false,
       backgroundColor: 'rgba(10, 10, 20, 0.1)',
       reactivityScale: 1.5,
-      smoothingFactor: 0.8
+      smoothingFactor: 0.8,
+      sampleRate: 44100 // of the analysed audio; places the fallback bass/mid/treble split
     };
     
+    // Fallback band split when updateAudioData gets no band energies
+    this.bandLayout = VisualizerBandLayout.createPresets()['three-band'];
+    this.bandEnergies = new Float32Array(this.bandLayout.bands.length);
+    
     // Smoothed audio values
     this.smoothedAudio = {
       bass: 0,
       mid: 0,
       treble: 0,
-      average: 0
+      average: 0,
+      harmonic: 0
     };
     
+    // Musical analysis from AudioAnalyzer (onsets, tempo, stereo, harmonic/percussive split)
+    this.analysis = {
+      onsets: { kick: false, snare: false, hihat: false },
+      harmonic: 0, // AudioAnalyzer.getHarmonicPercussive().harmonic
+      percussive: 0,
+      stereo: null, // AudioAnalyzer.getStereo()
+      lissajous: null // AudioAnalyzer.getLissajousPoints()
+    };
+    this.percussiveLevel = 0; // running average of percussive energy, see handlePercussive
+    
+    // Mood binding: interpolated MoodEngine parameters applied to every system each frame
+    this.moodEngine = null;
+    this.mood = null; // last applied visual parameters plus derived hue/saturation/lightness
+    
+    this.registerDefaultLayers();
     this.setupCanvas();
   }
   
+  /**
+   * Register the built-in systems as layers. Their enabled state stays in
+   * config (spectrogramEnabled, waveformEnabled, ...), so setConfig keeps working.
+   */
+  registerDefaultLayers() {
+    this.addLayer('spectrogram', {
+      update: frame => this.spectrogram.update(frame.audio.frequency),
+      render: (ctx, frame) => this.spectrogram.render(ctx, frame.width, frame.height)
+    }, { configKey: 'spectrogramEnabled' });
+    
+    this.addLayer('waveform', {
+      update: frame => this.waveformRenderer.update(frame.audio, frame.time),
+      render: (ctx, frame) => this.waveformRenderer.render(ctx, frame.width, frame.height)
+    }, { configKey: 'waveformEnabled' });
+    
+    this.addLayer('geometry', {
+      update: frame => this.reactiveGeometry.update(frame.smoothed, frame.time, frame.width, frame.height),
+      render: (ctx, frame) => this.reactiveGeometry.render(ctx, frame.width, frame.height)
+    }, { configKey: 'geometryEnabled' });
+    
+    this.addLayer('impacts', {
+      update: frame => this.impactEffects.update(frame.deltaTime),
+      render: (ctx, frame) => this.impactEffects.render(ctx, frame.width, frame.height)
+    }, { configKey: 'impactEnabled' });
+    
+    this.addLayer('particles', {
+      update: frame => this.particleSystem.update(frame.deltaTime, frame.smoothed, frame.pan, frame.width, frame.height),
+      render: ctx => this.particleSystem.render(ctx)
+    }, { configKey: 'particlesEnabled' });
+    
+    this.addLayer('goniometer', {
+      render: (ctx, frame) => this.goniometer.render(ctx, frame.width, frame.height)
+    }, { configKey: 'goniometerEnabled' });
+  }
+  
+  /**
+   * Add a layer
+   * @param {string} name - Unique layer name
+   * @param {object} layer - { update(frame), render(ctx, frame), dispose() }; only render is required
+   * @param {object} options - { opacity (0-1), blendMode (globalCompositeOperation), enabled,
+   *   index (draw position, default on top) }
+   * @returns {boolean} - Whether the layer was added
+   */
+  addLayer(name, layer, options = {}) {
+    const { opacity = 1, blendMode = 'source-over', enabled = true, index = this.layers.length, configKey = null } = options;
+    const errors = [];
+    if (typeof name !== 'string' || name === '') errors.push('Layer name must be a non-empty string');
+    if (this.getLayerEntry(name)) errors.push(`Layer already exists: ${name}`);
+    if (!layer || typeof layer.render !== 'function') errors.push(`Layer ${name} must implement render(ctx, frame)`);
+    errors.push(...this.validateLayerOptions({ opacity, blendMode }));
+    if (errors.length > 0) {
+      console.error(`Invalid layer:\n  ${errors.join('\n  ')}`);
+      return false;
+    }
+    
+    const entry = { name, layer, opacity, blendMode, enabled, configKey };
+    this.layers.splice(Math.max(0, Math.min(this.layers.length, index)), 0, entry);
+    return true;
+  }
+  
+  /**
+   * Remove a layer and dispose of it
+   * @returns {boolean} - Whether the layer existed
+   */
+  removeLayer(name) {
+    const entry = this.getLayerEntry(name);
+    if (!entry) return false;
+    
+    this.layers.splice(this.layers.indexOf(entry), 1);
+    if (typeof entry.layer.dispose === 'function') {
+      entry.layer.dispose();
+    }
+    return true;
+  }
+  
+  /**
+   * Move a layer to a draw position (0 = bottom)
+   * @returns {boolean} - Whether the layer exists
+   */
+  moveLayer(name, index) {
+    const entry = this.getLayerEntry(name);
+    if (!entry) return false;
+    
+    this.layers.splice(this.layers.indexOf(entry), 1);
+    this.layers.splice(Math.max(0, Math.min(this.layers.length, index)), 0, entry);
+    return true;
+  }
+  
+  /**
+   * Change opacity, blend mode or enabled state of a layer
+   * @param {string} name - Layer name
+   * @param {object} options - { opacity, blendMode, enabled }
+   * @returns {boolean} - Whether the options were applied
+   */
+  setLayerOptions(name, options) {
+    const entry = this.getLayerEntry(name);
+    if (!entry) {
+      console.error(`Unknown layer: ${name}`);
+      return false;
+    }
+    const errors = this.validateLayerOptions(options);
+    if (errors.length > 0) {
+      console.error(`Invalid layer options:\n  ${errors.join('\n  ')}`);
+      return false;
+    }
+    
+    if (options.opacity !== undefined) entry.opacity = options.opacity;
+    if (options.blendMode !== undefined) entry.blendMode = options.blendMode;
+    if (options.enabled !== undefined) {
+      if (entry.configKey) {
+        this.config[entry.configKey] = Boolean(options.enabled);
+      } else {
+        entry.enabled = Boolean(options.enabled);
+      }
+    }
+    return true;
+  }
+  
+  /**
+   * Validate layer opacity and blend mode
+   * @returns {array} - Error messages, empty when valid
+   */
+  validateLayerOptions({ opacity, blendMode }) {
+    const errors = [];
+    if (opacity !== undefined && (typeof opacity !== 'number' || !(opacity >= 0 && opacity <= 1))) {
+      errors.push('Layer opacity must be a number between 0 and 1');
+    }
+    if (blendMode !== undefined && !BLEND_MODES.includes(blendMode)) {
+      errors.push(`Unknown blend mode: ${blendMode}`);
+    }
+    return errors;
+  }
+  
+  getLayerEntry(name) {
+    return this.layers.find(entry => entry.name === name) || null;
+  }
+  
+  /**
+   * Get a layer object by name
+   */
+  getLayer(name) {
+    const entry = this.getLayerEntry(name);
+    return entry ? entry.layer : null;
+  }
+  
+  /**
+   * Get layer settings in draw order
+   * @returns {array} - [{ name, opacity, blendMode, enabled }]
+   */
+  getLayers() {
+    return this.layers.map(entry => ({
+      name: entry.name,
+      opacity: entry.opacity,
+      blendMode: entry.blendMode,
+      enabled: this.isLayerEnabled(entry)
+    }));
+  }
+  
+  isLayerEnabled(entry) {
+    return entry.configKey ? Boolean(this.config[entry.configKey]) : entry.enabled;
+  }
+  
+  /**
+   * Frame object handed to every layer
+   */
+  createFrame() {
+    return {
+      time: this.time,
+      deltaTime: this.deltaTime,
+      width: this.width,
+      height: this.height,
+      audio: this.audioData,
+      smoothed: this.smoothedAudio,
+      analysis: this.analysis,
+      mood: this.mood,
+      pan: this.getPan()
+    };
+  }
+  
   setupCanvas() {
     this.canvas.width = window.innerWidth;
     this.canvas.height = window.innerHeight;
@@ -72,15 +327,29 @@ class AdvancedVisualizer {
     this.height = this.canvas.height;
   }
   
-  updateAudioData(frequencyData, waveformData) {
+  /**
+   * @param {Uint8Array} frequencyData - Byte spectrum
+   * @param {Uint8Array} waveformData - Byte waveform
+   * @param {object} bands - Optional { bass, mid, treble } energies, e.g. from
+   *   AudioAnalyzer.getLayoutEnergies('three-band'); falls back to the same 'three-band'
+   *   BandLayout applied to frequencyData at config.sampleRate
+   */
+  updateAudioData(frequencyData, waveformData, bands = null) {
     // Update raw audio data
     this.audioData.frequency = frequencyData;
     this.audioData.waveform = waveformData;
     
     // Calculate frequency bands
-    this.audioData.bass = this.calculateBand(0, 85);
-    this.audioData.mid = this.calculateBand(85, 170);
-    this.audioData.treble = this.calculateBand(170, 256);
+    if (bands) {
+      this.audioData.bass = bands.bass;
+      this.audioData.mid = bands.mid;
+      this.audioData.treble = bands.treble;
+    } else {
+      const [bass, mid, treble] = this.bandLayout.compute(frequencyData, this.config.sampleRate, this.bandEnergies);
+      this.audioData.bass = bass;
+      this.audioData.mid = mid;
+      this.audioData.treble = treble;
+    }
     this.audioData.average = (this.audioData.bass + this.audioData.mid + this.audioData.treble) / 3;
     this.audioData.peak = Math.max(...frequencyData);
     
@@ -91,19 +360,77 @@ class AdvancedVisualizer {
     this.smoothedAudio.average = this.lerp(this.smoothedAudio.average, this.audioData.average, 1 - this.config.smoothingFactor);
   }
   
-  calculateBand(start, end) {
-    const band = this.audioData.frequency.slice(start, end);
-    return band.reduce((a, b) => a + b, 0) / band.length / 255;
+  /**
+   * Receive per-frame analysis from AudioAnalyzer and fire onset-driven effects
+   */
+  updateAnalysis(analysis) {
+    this.analysis = { ...this.analysis, ...analysis };
+    
+    if (analysis.onsets) {
+      this.handleOnsets(analysis.onsets);
+    }
+    
+    if (analysis.lissajous) {
+      this.goniometer.update(analysis.lissajous, this.analysis.stereo);
+    }
+    
+    if (analysis.harmonic !== undefined) {
+      // Harmonic energy is sustained by nature; a light smoothing keeps geometry fluid
+      this.smoothedAudio.harmonic += (analysis.harmonic * this.config.reactivityScale - this.smoothedAudio.harmonic) * 0.1;
+    }
+    
+    if (analysis.percussive !== undefined) {
+      this.handlePercussive(analysis.percussive);
+    }
+  }
+  
+  /**
+   * Burst particles when percussive energy jumps above its recent level
+   */
+  handlePercussive(percussive) {
+    const level = this.percussiveLevel;
+    this.percussiveLevel = level * 0.9 + percussive * 0.1;
+    
+    if (this.config.particlesEnabled && percussive > 0.02 && percussive > level * 1.8) {
+      const x = this.particleSystem.spawnX(this.width, this.getPan());
+      const y = this.height * (0.3 + this.random() * 0.4);
+      this.particleSystem.burst(x, y, Math.min(2, percussive * this.config.reactivityScale * 10));
+    }
+  }
+  
+  /**
+   * Pan position (-1 left to 1 right) of a band, or of the whole mix if no band is given
+   */
+  getPan(band = null) {
+    const stereo = this.analysis.stereo;
+    if (!stereo) return 0;
+    if (band && stereo.bandPan[band] !== undefined) {
+      return stereo.bandPan[band];
+    }
+    return stereo.balance;
+  }
+  
+  handleOnsets(onsets) {
+    // Kicks drive impacts, hi-hats drive sparkles, independently of each other
+    if (onsets.kick && this.config.impactEnabled) {
+      const x = this.width / 2 * (1 + this.getPan('bass') * 0.7) + (this.random() - 0.5) * this.width * 0.3;
+      const y = this.height / 2 + (this.random() - 0.5) * this.height * 0.3;
+      this.impactEffects.addImpact(x, y, 0.5 + this.audioData.bass);
+    }
+    
+    if (onsets.hihat && this.config.particlesEnabled) {
+      this.particleSystem.sparkle(this.width, this.height, 0.5 + this.audioData.treble, this.getPan('treble'));
+    }
   }
   
   lerp(current, target, factor) {
-    return current + (target - target) * factor;
+    return current + (target - current) * factor;
   }
   
   start() {
     if (this.isRunning) return;
     this.isRunning = true;
-    this.lastFrameTime = performance.now();
+    this.lastFrameTime = this.clock.now();
     this.animate();
   }
   
@@ -114,38 +441,116 @@ class AdvancedVisualizer {
     }
   }
   
-  animate() {
-    const currentTime = performance.now();
-    this.deltaTime = (currentTime - this.lastFrameTime) / 1000;
-    this.lastFrameTime = currentTime;
-    this.time += this.deltaTime;
+  /**
+   * Follow a MoodEngine: its interpolated visual parameters drive palette, particle
+   * physics, glow and rotation from the next frame on
+   * @param {MoodEngine|null} engine - Engine to follow, null to return to the default look
+   */
+  setMoodEngine(engine) {
+    this.moodEngine = engine;
+    if (!engine) {
+      this.applyMoodParameters(null);
+    }
+  }
+  
+  /**
+   * Apply mood visual parameters to all visual systems
+   * @param {object|null} params - MoodEngine.getVisualParameters(), null for the default look
+   */
+  applyMoodParameters(params) {
+    this.mood = params ? {
+      ...params,
+      hue: AdvancedVisualizer.getHue(params.color),
+      saturationPercent: params.saturation * 100,
+      lightnessPercent: 30 + params.brightness * 40
+    } : null;
     
-    // Clear canvas
-    this.ctx.fillStyle = this.config.backgroundColor;
-    this.ctx.fillRect(0, 0, this.width, this.height);
+    this.particleSystem.setMood(this.mood);
+    this.waveformRenderer.setMood(this.mood);
+    this.reactiveGeometry.setMood(this.mood);
+    this.impactEffects.setMood(this.mood);
+  }
+  
+  /**
+   * Hue in degrees of an { r, g, b } color
+   */
+  static getHue({ r, g, b }) {
+    const max = Math.max(r, g, b);
+    const delta = max - Math.min(r, g, b);
+    if (delta === 0) return 0;
     
-    // Update and render systems
-    if (this.config.waveformEnabled) {
-      this.waveformRenderer.update(this.audioData, this.time);
-      this.waveformRenderer.render(this.ctx, this.width, this.height);
+    let hue;
+    if (max === r) {
+      hue = ((g - b) / delta) % 6;
+    } else if (max === g) {
+      hue = (b - r) / delta + 2;
+    } else {
+      hue = (r - g) / delta + 4;
     }
+    return (hue * 60 + 360) % 360;
+  }
+  
+  /**
+   * Switch time source; the next frame measures its delta on the new clock
+   * @param {object} clock - Object with now() in ms
+   */
+  setClock(clock) {
+    this.clock = clock;
+    this.lastFrameTime = clock.now();
+  }
+  
+  /**
+   * Switch random source for particle and impact placement
+   * @param {function} random - Returns a number in [0, 1), e.g. createSeededRandom(seed)
+   */
+  setRandom(random) {
+    this.random = random;
+    this.particleSystem.random = random;
+    this.impactEffects.random = random;
+  }
+  
+  animate() {
+    this.renderFrame();
+    this.animationFrameId = requestAnimationFrame(() => this.animate());
+  }
+  
+  /**
+   * Advance and draw one frame. Called by the animation loop, or directly for
+   * deterministic offline rendering with a ManualClock.
+   * @param {number} currentTime - Frame time in ms, read from the clock by default
+   */
+  renderFrame(currentTime = this.clock.now()) {
+    this.deltaTime = Math.max(0, currentTime - this.lastFrameTime) / 1000;
+    this.lastFrameTime = currentTime;
+    this.time += this.deltaTime;
     
-    if (this.config.geometryEnabled) {
-      this.reactiveGeometry.update(this.smoothedAudio, this.time);
-      this.reactiveGeometry.render(this.ctx, this.width, this.height);
+    if (this.moodEngine) {
+      this.applyMoodParameters(this.moodEngine.getVisualParameters());
     }
     
-    if (this.config.impactEnabled) {
-      this.impactEffects.update(this.deltaTime);
-      this.impactEffects.render(this.ctx, this.width, this.height);
-    }
+    // Clear canvas; the mood background's alpha sets how long trails linger
+    this.ctx.fillStyle = this.mood ? this.mood.backgroundColor : this.config.backgroundColor;
+    this.ctx.fillRect(0, 0, this.width, this.height);
     
-    if (this.config.particlesEnabled) {
-      this.particleSystem.update(this.deltaTime, this.smoothedAudio);
-      this.particleSystem.render(this.ctx);
+    // Update and render layers bottom to top; a layer that throws is disabled, not the whole frame
+    const frame = this.createFrame();
+    for (const entry of this.layers.slice()) {
+      if (!this.isLayerEnabled(entry)) continue;
+      
+      this.ctx.save();
+      try {
+        if (typeof entry.layer.update === 'function') {
+          entry.layer.update(frame);
+        }
+        this.ctx.globalAlpha = entry.opacity;
+        this.ctx.globalCompositeOperation = entry.blendMode;
+        entry.layer.render(this.ctx, frame);
+      } catch (error) {
+        console.error(`Error in layer ${entry.name}, disabling it:`, error);
+        this.setLayerOptions(entry.name, { enabled: false });
+      }
+      this.ctx.restore();
     }
-    
-    this.animationFrameId = requestAnimationFrame(() => this.animate());
   }
   
   triggerImpact(x, y, intensity = 1) {
@@ -156,15 +561,48 @@ class AdvancedVisualizer {
   setConfig(newConfig) {
     this.config = { ...this.config, ...newConfig };
   }
+  
+  /**
+   * Stop rendering and dispose of all layers
+   */
+  dispose() {
+    this.stop();
+    this.layers.slice().forEach(entry => this.removeLayer(entry.name));
+  }
 }
 
 /**
  * Particle System - Handles dynamic particle generation and animation
  */
 class ParticleSystem {
-  constructor() {
+  /**
+   * @param {function} random - Random source in [0, 1); defaults to Math.random
+   */
+  constructor(random = Math.random) {
+    this.random = random;
     this.particles = [];
     this.maxParticles = 500;
+    this.setMood(null);
+  }
+  
+  /**
+   * Take palette and physics from mood parameters (see AdvancedVisualizer.applyMoodParameters);
+   * null restores random hues and the default physics
+   */
+  setMood(mood) {
+    this.mood = mood;
+    this.speedScale = mood ? mood.particleSpeed : 1;
+    this.opacity = mood ? mood.particleOpacity : 1;
+    this.glowRadius = mood ? 1.5 + mood.glowIntensity * 5 : 3;
+    this.glowShare = mood ? 0.2 + mood.glowIntensity * 0.6 : 0.5;
+    this.density = mood ? 0.5 + mood.visualIntensity : 1;
+  }
+  
+  /**
+   * Particle hue: random without a mood, otherwise spread around the mood hue
+   */
+  getHue(spread = 40) {
+    return this.mood ? this.mood.hue + (this.random() - 0.5) * spread : this.random() * 360;
   }
   
   emit(x, y, count = 5, intensity = 1) {
@@ -172,7 +610,7 @@ class ParticleSystem {
       if (this.particles.length >= this.maxParticles) break;
       
       const angle = (Math.PI * 2 * i) / count;
-      const speed = 50 + Math.random() * 150 * intensity;
+      const speed = (50 + this.random() * 150 * intensity) * this.speedScale;
       
       this.particles.push({
         x,
@@ -180,10 +618,10 @@ class ParticleSystem {
         vx: Math.cos(angle) * speed,
         vy: Math.sin(angle) * speed,
         life: 1,
-        maxLife: 1 + Math.random() * 0.5,
-        size: 2 + Math.random() * 4,
-        hue: Math.random() * 360,
-        type: Math.random() > 0.5 ? 'glow' : 'normal'
+        maxLife: 1 + this.random() * 0.5,
+        size: this.mood ? this.mood.particleSize * (0.5 + this.random()) : 2 + this.random() * 4,
+        hue: this.getHue(),
+        type: this.random() < this.glowShare ? 'glow' : 'normal'
       });
     }
   }
@@ -192,12 +630,46 @@ class ParticleSystem {
     this.emit(x, y, 20 * intensity, intensity);
   }
   
-  update(deltaTime, audioData) {
+  sparkle(width, height, intensity = 1, pan = 0) {
+    const count = Math.floor(6 + 10 * intensity);
+    for (let i = 0; i < count; i++) {
+      if (this.particles.length >= this.maxParticles) break;
+      
+      this.particles.push({
+        x: this.spawnX(width, pan),
+        y: this.random() * height,
+        vx: (this.random() - 0.5) * 30,
+        vy: (this.random() - 0.5) * 30,
+        life: 1,
+        maxLife: 0.2 + this.random() * 0.3,
+        size: 1 + this.random() * 1.5,
+        hue: this.mood ? this.getHue(30) : 40 + this.random() * 30,
+        type: 'sparkle'
+      });
+    }
+  }
+  
+  /**
+   * Horizontal spawn position biased towards the side the sound is panned to
+   * @param {number} pan - -1 (left) to 1 (right); 0 spreads across the full width
+   */
+  spawnX(width, pan = 0) {
+    const spread = Math.max(0.2, 1 - Math.abs(pan));
+    const position = 0.5 + pan * 0.5 + (this.random() - 0.5) * spread;
+    return Math.max(0, Math.min(1, position)) * width;
+  }
+  
+  /**
+   * Move and age particles, then emit new ones across the frame
+   * @param {number} width - Frame width in px
+   * @param {number} height - Frame height in px
+   */
+  update(deltaTime, audioData, pan, width, height) {
     for (let i = this.particles.length - 1; i >= 0; i--) {
       const p = this.particles[i];
       
       // Apply gravity and drag
-      p.vy += 20 * deltaTime; // gravity
+      p.vy += 20 * this.speedScale * deltaTime; // gravity
       p.vx *= 0.98; // drag
       p.vy *= 0.98;
       
@@ -215,35 +687,45 @@ class ParticleSystem {
     }
     
     // Emit new particles based on audio
-    const emissionRate = 3 + audioData.average * 20;
+    const emissionRate = (3 + audioData.average * 20) * this.density;
     this.emit(
-      Math.random() * window.innerWidth,
-      Math.random() * window.innerHeight,
+      this.spawnX(width, pan),
+      this.random() * height,
       Math.floor(emissionRate),
       audioData.average
     );
   }
   
   render(ctx) {
+    const saturation = this.mood ? this.mood.saturationPercent : 100;
+    const lightness = this.mood ? this.mood.lightnessPercent : 50;
+    
     for (const p of this.particles) {
       const alpha = Math.max(0, p.life);
       const sizeMultiplier = (1 - Math.abs(p.life - 0.5) * 2);
       
       ctx.save();
-      ctx.globalAlpha = alpha;
+      ctx.globalAlpha *= alpha * this.opacity;
       
       if (p.type === 'glow') {
         // Glowing particles
-        const gradient = ctx.createRadialGradient(p.x, p.y, 0, p.x, p.y, p.size * 3);
-        gradient.addColorStop(0, `hsla(${p.hue}, 100%, 60%, ${alpha})`);
-        gradient.addColorStop(1, `hsla(${p.hue}, 100%, 60%, 0)`);
+        const radius = p.size * this.glowRadius;
+        const gradient = ctx.createRadialGradient(p.x, p.y, 0, p.x, p.y, radius);
+        gradient.addColorStop(0, `hsla(${p.hue}, ${saturation}%, ${lightness + 10}%, ${alpha})`);
+        gradient.addColorStop(1, `hsla(${p.hue}, ${saturation}%, ${lightness + 10}%, 0)`);
         ctx.fillStyle = gradient;
         ctx.beginPath();
-        ctx.arc(p.x, p.y, p.size * 3, 0, Math.PI * 2);
+        ctx.arc(p.x, p.y, radius, 0, Math.PI * 2);
+        ctx.fill();
+      } else if (p.type === 'sparkle') {
+        // Short-lived bright sparkles
+        ctx.fillStyle = `hsl(${p.hue}, ${saturation}%, 90%)`;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, p.size * (1 + alpha), 0, Math.PI * 2);
         ctx.fill();
       } else {
         // Normal particles
-        ctx.fillStyle = `hsl(${p.hue}, 80%, 50%)`;
+        ctx.fillStyle = `hsl(${p.hue}, ${saturation * 0.8}%, ${lightness}%)`;
         ctx.beginPath();
         ctx.arc(p.x, p.y, p.size * sizeMultiplier, 0, Math.PI * 2);
         ctx.fill();
@@ -261,6 +743,21 @@ class WaveformRenderer {
   constructor() {
     this.smoothWaveform = new Array(512).fill(0);
     this.mode = 'circular'; // 'linear', 'circular', 'radial'
+    this.setMood(null);
+  }
+  
+  /**
+   * Take colors, glow and pulse from mood parameters; null restores the default blue
+   */
+  setMood(mood) {
+    const { r, g, b } = mood ? mood.color : { r: 100, g: 200, b: 255 };
+    this.strokeColor = `rgba(${r}, ${g}, ${b}, 0.8)`;
+    this.fillColor = `rgba(${r}, ${g}, ${b}, 0.1)`;
+    this.fadeColor = `rgba(${r}, ${g}, ${b}, 0)`;
+    this.radialColor = mood ? `hsla(${mood.hue + 60}, ${mood.saturationPercent}%, ${mood.lightnessPercent}%, 0.8)` :
+      'rgba(200, 100, 255, 0.8)';
+    this.glow = mood ? mood.glowIntensity * 20 : 0;
+    this.pulse = mood ? mood.pulseFactor : 1;
   }
   
   update(audioData, time) {
@@ -276,6 +773,12 @@ class WaveformRenderer {
     const centerY = height / 2;
     const radius = Math.min(width, height) * 0.35;
     
+    ctx.save();
+    if (this.glow > 0) {
+      ctx.shadowBlur = this.glow;
+      ctx.shadowColor = this.strokeColor;
+    }
+    
     switch (this.mode) {
       case 'circular':
         this.renderCircular(ctx, centerX, centerY, radius);
@@ -287,16 +790,18 @@ class WaveformRenderer {
         this.renderRadial(ctx, centerX, centerY, radius);
         break;
     }
+    
+    ctx.restore();
   }
   
   renderCircular(ctx, centerX, centerY, radius) {
-    ctx.strokeStyle = 'rgba(100, 200, 255, 0.8)';
+    ctx.strokeStyle = this.strokeColor;
     ctx.lineWidth = 2;
     ctx.beginPath();
     
     for (let i = 0; i < this.smoothWaveform.length; i++) {
       const angle = (i / this.smoothWaveform.length) * Math.PI * 2;
-      const distance = radius + this.smoothWaveform[i] * radius * 0.5;
+      const distance = radius + this.smoothWaveform[i] * radius * 0.5 * this.pulse;
       const x = centerX + Math.cos(angle) * distance;
       const y = centerY + Math.sin(angle) * distance;
       
@@ -312,8 +817,8 @@ class WaveformRenderer {
     
     // Fill with gradient
     const gradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, radius);
-    gradient.addColorStop(0, 'rgba(100, 200, 255, 0.1)');
-    gradient.addColorStop(1, 'rgba(100, 200, 255, 0)');
+    gradient.addColorStop(0, this.fillColor);
+    gradient.addColorStop(1, this.fadeColor);
     ctx.fillStyle = gradient;
     ctx.fill();
   }
@@ -321,9 +826,9 @@ class WaveformRenderer {
   renderLinear(ctx, width, height) {
     const sampleWidth = width / this.smoothWaveform.length;
     const centerY = height / 2;
-    const scale = height * 0.4;
+    const scale = height * 0.4 * Math.min(1.25, this.pulse);
     
-    ctx.strokeStyle = 'rgba(100, 200, 255, 0.8)';
+    ctx.strokeStyle = this.strokeColor;
     ctx.lineWidth = 2;
     ctx.beginPath();
     
@@ -342,12 +847,12 @@ class WaveformRenderer {
   }
   
   renderRadial(ctx, centerX, centerY, radius) {
-    ctx.strokeStyle = 'rgba(200, 100, 255, 0.8)';
+    ctx.strokeStyle = this.radialColor;
     ctx.lineWidth = 3;
     
     for (let i = 0; i < this.smoothWaveform.length; i++) {
       const angle = (i / this.smoothWaveform.length) * Math.PI * 2;
-      const distance = this.smoothWaveform[i] * radius;
+      const distance = this.smoothWaveform[i] * radius * this.pulse;
       
       const x1 = centerX + Math.cos(angle) * radius;
       const y1 = centerY + Math.sin(angle) * radius;
@@ -369,14 +874,26 @@ class ReactiveGeometry {
   constructor() {
     this.shapes = [];
     this.time = 0;
+    this.spin = 0; // accumulated spiral rotation, so rotation speed can change smoothly
+    this.setMood(null);
   }
   
-  update(audioData, time) {
+  /**
+   * Take palette, rotation speed and pulse from mood parameters; null restores the defaults
+   */
+  setMood(mood) {
+    this.mood = mood;
+    this.rotationSpeed = mood ? mood.rotationSpeed : 1;
+    this.pulse = mood ? mood.pulseFactor : 1;
+  }
+  
+  update(audioData, time, width, height) {
+    this.spin += (time - this.time) * 0.5 * this.rotationSpeed;
     this.time = time;
     
     // Initialize shapes if empty
     if (this.shapes.length === 0) {
-      this.initializeShapes();
+      this.initializeShapes(width, height);
     }
     
     // Update shapes based on audio
@@ -385,10 +902,7 @@ class ReactiveGeometry {
     }
   }
   
-  initializeShapes() {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
-    
+  initializeShapes(width, height) {
     this.shapes = [
       { type: 'polygon', sides: 5, x: width * 0.25, y: height * 0.5, baseRadius: 80, rotation: 0 },
       { type: 'polygon', sides: 6, x: width * 0.75, y: height * 0.5, baseRadius: 100, rotation: 0 },
@@ -398,12 +912,15 @@ class ReactiveGeometry {
   }
   
   updateShape(shape, audioData) {
+    // Harmonic (sustained) energy swells the shapes; transients are left to the particles
+    const harmonic = audioData.harmonic || 0;
+    
     if (shape.type === 'polygon') {
-      shape.rotation += audioData.average * 0.1;
-      shape.radius = shape.baseRadius * (1 + audioData.average * 0.5);
+      shape.rotation += audioData.average * 0.1 * this.rotationSpeed;
+      shape.radius = shape.baseRadius * (1 + (audioData.average * 0.5 + harmonic * 0.6) * this.pulse);
     } else if (shape.type === 'spiral') {
-      shape.rotation = (this.time * 0.5) + audioData.treble * 2;
-      shape.radiusMultiplier = 1 + audioData.bass * 0.3;
+      shape.rotation = this.spin + audioData.treble * 2;
+      shape.radiusMultiplier = 1 + (audioData.bass * 0.3 + harmonic * 0.4) * this.pulse;
     } else if (shape.type === 'grid') {
       shape.distortion = audioData.mid;
     }
@@ -419,7 +936,7 @@ class ReactiveGeometry {
           this.renderSpiral(ctx, shape);
           break;
         case 'grid':
-          this.renderGrid(ctx, shape);
+          this.renderGrid(ctx, shape, width, height);
           break;
       }
     }
@@ -430,7 +947,9 @@ class ReactiveGeometry {
     ctx.translate(shape.x, shape.y);
     ctx.rotate(shape.rotation);
     
-    ctx.strokeStyle = `hsl(${shape.rotation * 50}, 100%, 60%)`;
+    ctx.strokeStyle = this.mood ?
+      `hsl(${this.mood.hue + Math.sin(shape.rotation) * 30}, ${this.mood.saturationPercent}%, ${this.mood.lightnessPercent + 10}%)` :
+      `hsl(${shape.rotation * 50}, 100%, 60%)`;
     ctx.lineWidth = 2;
     ctx.beginPath();
     
@@ -456,7 +975,9 @@ class ReactiveGeometry {
     ctx.translate(shape.x, shape.y);
     ctx.rotate(shape.rotation);
     
-    ctx.strokeStyle = 'rgba(255, 100, 200, 0.6)';
+    ctx.strokeStyle = this.mood ?
+      `hsla(${this.mood.hue + 40}, ${this.mood.saturationPercent}%, ${this.mood.lightnessPercent + 10}%, 0.6)` :
+      'rgba(255, 100, 200, 0.6)';
     ctx.lineWidth = 2;
     
     const points = 200;
@@ -480,11 +1001,14 @@ class ReactiveGeometry {
     ctx.restore();
   }
   
-  renderGrid(ctx, shape) {
-    const cols = Math.ceil(window.innerWidth / shape.spacing);
-    const rows = Math.ceil(window.innerHeight / shape.spacing);
+  renderGrid(ctx, shape, width, height) {
+    const cols = Math.ceil(width / shape.spacing);
+    const rows = Math.ceil(height / shape.spacing);
     
-    ctx.strokeStyle = `rgba(100, 255, 200, ${0.3 + shape.distortion * 0.3})`;
+    const alpha = 0.3 + shape.distortion * 0.3;
+    ctx.strokeStyle = this.mood ?
+      `hsla(${this.mood.hue - 40}, ${this.mood.saturationPercent}%, ${this.mood.lightnessPercent}%, ${alpha})` :
+      `rgba(100, 255, 200, ${alpha})`;
     ctx.lineWidth = 1;
     
     for (let i = 0; i < cols; i++) {
@@ -505,12 +1029,38 @@ class ReactiveGeometry {
  * Impact Effects - Handles collision and explosion visual effects
  */
 class ImpactEffects {
-  constructor() {
+  /**
+   * @param {function} random - Random source in [0, 1); defaults to Math.random
+   */
+  constructor(random = Math.random) {
+    this.random = random;
     this.impacts = [];
     this.rings = [];
+    this.mood = null;
+  }
+  
+  /**
+   * Take hue and intensity from mood parameters; null restores random hues
+   */
+  setMood(mood) {
+    this.mood = mood;
+  }
+  
+  /**
+   * Impact color: random hue without a mood, otherwise close to the mood hue
+   */
+  getColor(lightness) {
+    if (!this.mood) {
+      return `hsl(${this.random() * 360}, 100%, ${lightness}%)`;
+    }
+    return `hsl(${this.mood.hue + (this.random() - 0.5) * 60}, ${this.mood.saturationPercent}%, ${lightness}%)`;
   }
   
   addImpact(x, y, intensity = 1) {
+    if (this.mood) {
+      intensity *= 0.5 + this.mood.visualIntensity;
+    }
+    
     // Add shockwave ring
     this.rings.push({
       x,
@@ -520,7 +1070,7 @@ class ImpactEffects {
       life: 1,
       maxLife: 0.5,
       thickness: 3 * intensity,
-      color: `hsl(${Math.random() * 360}, 100%, 50%)`
+      color: this.getColor(50)
     });
     
     // Add impact marker
@@ -530,7 +1080,7 @@ class ImpactEffects {
       life: 1,
       maxLife: 0.3,
       size: 20 * intensity,
-      color: `hsl(${Math.random() * 360}, 100%, 60%)`
+      color: this.getColor(60)
     });
   }
   
@@ -562,7 +1112,7 @@ class ImpactEffects {
     for (const ring of this.rings) {
       const alpha = Math.max(0, ring.life);
       ctx.save();
-      ctx.globalAlpha = alpha;
+      ctx.globalAlpha *= alpha;
       ctx.strokeStyle = ring.color;
       ctx.lineWidth = ring.thickness * (1 - (1 - ring.life));
       ctx.beginPath();
@@ -577,7 +1127,7 @@ class ImpactEffects {
       const scaleMultiplier = 1 + (1 - impact.life) * 0.5;
       
       ctx.save();
-      ctx.globalAlpha = alpha;
+      ctx.globalAlpha *= alpha;
       ctx.fillStyle = impact.color;
       ctx.beginPath();
       ctx.arc(impact.x, impact.y, impact.size * scaleMultiplier, 0, Math.PI * 2);
@@ -587,6 +1137,162 @@ class ImpactEffects {
   }
 }
 
+/**
+ * Spectrogram Renderer - Scrolling waterfall of the spectrum, newest column on the right
+ */
+class SpectrogramRenderer {
+  constructor(columns = 512, rows = 256) {
+    this.columns = columns;
+    this.rows = rows;
+    this.canvas = null; // offscreen history, created on first update
+    this.ctx = null;
+    this.column = null;
+    this.height = 0.3; // fraction of the screen height, anchored to the bottom
+    this.opacity = 0.6;
+    this.palette = SpectrogramRenderer.createPalette();
+  }
+  
+  /**
+   * Heat palette from black through blue, magenta and yellow to white
+   */
+  static createPalette() {
+    const stops = [[0, 0, 0], [20, 30, 140], [190, 40, 160], [255, 200, 40], [255, 255, 255]];
+    const palette = new Uint8ClampedArray(256 * 3);
+    for (let i = 0; i < 256; i++) {
+      const position = (i / 255) * (stops.length - 1);
+      const index = Math.min(stops.length - 2, Math.floor(position));
+      const t = position - index;
+      for (let c = 0; c < 3; c++) {
+        palette[i * 3 + c] = stops[index][c] + (stops[index + 1][c] - stops[index][c]) * t;
+      }
+    }
+    return palette;
+  }
+  
+  setup() {
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.columns;
+    this.canvas.height = this.rows;
+    this.ctx = this.canvas.getContext('2d');
+    this.column = this.ctx.createImageData(1, this.rows);
+  }
+  
+  /**
+   * Scroll one column and draw the newest spectrum
+   * @param {Uint8Array|Float32Array} spectrum - Byte (0-255) or normalized (0-1) magnitudes
+   */
+  update(spectrum, offset = 0, length = spectrum.length - offset) {
+    if (!this.canvas) this.setup();
+    
+    this.ctx.drawImage(this.canvas, -1, 0);
+    
+    // Rows are spaced logarithmically so bass gets as much room as the highs
+    const scale = spectrum instanceof Uint8Array ? 1 : 255;
+    const pixels = this.column.data;
+    for (let row = 0; row < this.rows; row++) {
+      const fraction = 1 - row / (this.rows - 1);
+      const bin = Math.min(length - 1, Math.floor(Math.pow(length, fraction)) - 1);
+      const level = Math.max(0, Math.min(255, Math.round(spectrum[offset + Math.max(0, bin)] * scale)));
+      pixels[row * 4] = this.palette[level * 3];
+      pixels[row * 4 + 1] = this.palette[level * 3 + 1];
+      pixels[row * 4 + 2] = this.palette[level * 3 + 2];
+      pixels[row * 4 + 3] = 255;
+    }
+    this.ctx.putImageData(this.column, this.columns - 1, 0);
+  }
+  
+  /**
+   * Fill the waterfall from AudioAnalyzer.getSpectrogram(), e.g. after enabling it mid-track
+   * @param {object} spectrogram - { data, frames, bins }
+   */
+  setHistory({ data, frames, bins }) {
+    const start = Math.max(0, frames - this.columns);
+    for (let frame = start; frame < frames; frame++) {
+      this.update(data, frame * bins, bins);
+    }
+  }
+  
+  render(ctx, width, height) {
+    if (!this.canvas) return;
+    
+    const drawHeight = height * this.height;
+    ctx.save();
+    ctx.globalAlpha *= this.opacity;
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(this.canvas, 0, height - drawHeight, width, drawHeight);
+    ctx.restore();
+  }
+}
+
+/**
+ * Goniometer Renderer - Lissajous view of the stereo field with a correlation meter
+ */
+class GoniometerRenderer {
+  constructor() {
+    this.points = null;
+    this.correlation = 1;
+    this.size = 0.25; // fraction of the shorter canvas side
+  }
+  
+  /**
+   * @param {Float32Array} points - Interleaved (side, mid) pairs from AudioAnalyzer.getLissajousPoints()
+   * @param {object} stereo - AudioAnalyzer.getStereo() readings
+   */
+  update(points, stereo) {
+    this.points = points;
+    if (stereo) {
+      this.correlation = stereo.correlation;
+    }
+  }
+  
+  render(ctx, width, height) {
+    if (!this.points) return;
+    
+    const size = Math.min(width, height) * this.size;
+    const margin = 20;
+    const centerX = width - margin - size / 2;
+    const centerY = height - margin * 2 - size / 2;
+    const scale = size / 2;
+    
+    ctx.save();
+    
+    // L and R axes on the diagonals, mono on the vertical
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(centerX - scale, centerY - scale);
+    ctx.lineTo(centerX + scale, centerY + scale);
+    ctx.moveTo(centerX + scale, centerY - scale);
+    ctx.lineTo(centerX - scale, centerY + scale);
+    ctx.moveTo(centerX, centerY - scale);
+    ctx.lineTo(centerX, centerY + scale);
+    ctx.stroke();
+    
+    // Trace
+    ctx.strokeStyle = 'hsla(160, 100%, 60%, 0.8)';
+    ctx.beginPath();
+    for (let i = 0; i < this.points.length; i += 2) {
+      const x = centerX + Math.max(-1, Math.min(1, this.points[i])) * scale;
+      const y = centerY - Math.max(-1, Math.min(1, this.points[i + 1])) * scale;
+      if (i === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    }
+    ctx.stroke();
+    
+    // Correlation meter: red when out of phase, green when mono-compatible
+    const meterY = centerY + scale + margin / 2;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.fillRect(centerX - scale, meterY, size, 4);
+    ctx.fillStyle = `hsl(${60 + this.correlation * 60}, 100%, 50%)`;
+    ctx.fillRect(centerX + this.correlation * scale - 2, meterY - 3, 4, 10);
+    
+    ctx.restore();
+  }
+}
+
 // Export for use
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
@@ -594,6 +1300,9 @@ if (typeof module !== 'undefined' && module.exports) {
     ParticleSystem,
     WaveformRenderer,
     ReactiveGeometry,
-    ImpactEffects
+    ImpactEffects,
+    GoniometerRenderer,
+    SpectrogramRenderer,
+    createSeededRandom
   };
 }
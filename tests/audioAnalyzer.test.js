@@ -0,0 +1,465 @@
+/**
+ * AudioAnalyzer tests - run with `node --test tests/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const AudioAnalyzer = require('../js/audioAnalyzer.js');
+
+const { SignalFrameSource, SignalGenerator } = AudioAnalyzer;
+
+/**
+ * Run live analysis over a whole signal and return the analyzer at its end
+ * @param {Float32Array} samples - Mono PCM samples
+ * @param {function} onFrame - Optional callback after each update
+ */
+function analyzeSignal(samples, onFrame = null) {
+  const source = new SignalFrameSource(samples);
+  const analyzer = new AudioAnalyzer(source);
+  while (source.advance()) {
+    analyzer.update();
+    if (onFrame) onFrame(analyzer);
+  }
+  return analyzer;
+}
+
+/**
+ * Wrap mono samples in an AudioBuffer-shaped object
+ */
+function toAudioBuffer(samples, sampleRate = 44100) {
+  return {
+    sampleRate,
+    length: samples.length,
+    numberOfChannels: 1,
+    getChannelData: () => samples
+  };
+}
+
+/**
+ * Minimal Web Audio graph stand-in. Nodes carry constant per-channel levels;
+ * channel counting, 'speakers' up/down-mixing and splitting follow the Web Audio rules
+ * closely enough to tell a centred mono source from a hard-panned one.
+ */
+class FakeNode {
+  constructor() {
+    this.inputs = []; // { node, output }
+    this.channelCount = 2;
+    this.channelCountMode = 'max';
+    this.channelInterpretation = 'speakers';
+  }
+  
+  connect(node, output = 0) {
+    node.inputs.push({ node: this, output });
+    return node;
+  }
+  
+  disconnect() {
+    this.inputs = [];
+  }
+  
+  /**
+   * Mix every connection into this node's computed channel count
+   */
+  readInput() {
+    const signals = this.inputs.map(({ node, output }) => node.getOutput(output));
+    const widest = Math.max(1, ...signals.map(signal => signal.length));
+    const count = this.channelCountMode === 'explicit' ? this.channelCount : widest;
+    const mixed = new Array(count).fill(0);
+    
+    signals.forEach(signal => {
+      if (this.channelInterpretation === 'speakers' && signal.length === 1) {
+        mixed.forEach((_, channel) => { mixed[channel] += signal[0]; });
+      } else if (this.channelInterpretation === 'speakers' && count === 1) {
+        mixed[0] += signal.reduce((sum, level) => sum + level, 0) / signal.length;
+      } else {
+        signal.slice(0, count).forEach((level, channel) => { mixed[channel] += level; });
+      }
+    });
+    return mixed;
+  }
+  
+  getOutput() {
+    return this.readInput();
+  }
+}
+
+class FakeSource extends FakeNode {
+  /**
+   * @param {Array} levels - Constant level per channel (one entry for mono)
+   */
+  constructor(levels) {
+    super();
+    this.levels = levels;
+  }
+  
+  getOutput() {
+    return this.levels;
+  }
+}
+
+class FakeSplitter extends FakeNode {
+  getOutput(output) {
+    return [this.readInput()[output] || 0];
+  }
+}
+
+/**
+ * AnalyserNode stand-in: a flat spectrum and a constant waveform at its (mono) input level
+ */
+class FakeAnalyser extends FakeNode {
+  constructor() {
+    super();
+    this.channelCount = 1;
+    this.channelCountMode = 'explicit';
+    this.fftSize = 2048;
+    this.smoothingTimeConstant = 0.8;
+    this.minDecibels = -100;
+    this.maxDecibels = -30;
+  }
+  
+  get frequencyBinCount() {
+    return this.fftSize / 2;
+  }
+  
+  get level() {
+    return this.readInput()[0];
+  }
+  
+  getByteFrequencyData(array) {
+    array.fill(Math.round(Math.min(1, this.level) * 255));
+  }
+  
+  getFloatFrequencyData(array) {
+    array.fill(this.minDecibels);
+  }
+  
+  getByteTimeDomainData(array) {
+    array.fill(128);
+  }
+  
+  getFloatTimeDomainData(array) {
+    array.fill(this.level);
+  }
+}
+
+class FakeAudioContext {
+  constructor() {
+    this.sampleRate = 44100;
+    this.currentTime = 0;
+  }
+  
+  createAnalyser() {
+    return new FakeAnalyser();
+  }
+  
+  createGain() {
+    return new FakeNode();
+  }
+  
+  createChannelSplitter() {
+    return new FakeSplitter();
+  }
+}
+
+/**
+ * Run stereo analysis on a constant source and return the stereo readings
+ * @param {Array} levels - Level per source channel, e.g. [0.8, 0] or [0.8] for mono
+ */
+function measureStereo(levels) {
+  const analyzer = new AudioAnalyzer(new FakeAudioContext());
+  analyzer.connect(new FakeSource(levels));
+  analyzer.enableStereo();
+  analyzer.calculateStereoAnalysis();
+  return analyzer.stereoStats;
+}
+
+test('a custom frame source missing part of the interface is rejected up front', () => {
+  const source = new SignalFrameSource(new Float32Array(4096));
+  const partial = {
+    sampleRate: source.sampleRate,
+    frequencyBinCount: source.frequencyBinCount,
+    readFrequencyData: array => source.readFrequencyData(array),
+    readTimeDomainData: array => source.readTimeDomainData(array)
+  };
+  
+  assert.throws(() => new AudioAnalyzer(partial), (error) => {
+    assert.match(error.message, /^Invalid frame source:/);
+    ['minDecibels', 'maxDecibels', 'getTime()', 'readFloatFrequencyData()', 'readFloatTimeDomainData()']
+      .forEach(member => assert.ok(error.message.includes(member), `${member} not reported`));
+    assert.ok(!error.message.includes('readFrequencyData()'));
+    return true;
+  });
+  assert.throws(() => new AudioAnalyzer({}), /sampleRate must be a positive number/);
+  assert.doesNotThrow(() => new AudioAnalyzer(source));
+});
+
+test('stereo band arrays cover every default band', () => {
+  const analyzer = new AudioAnalyzer(new FakeAudioContext());
+  analyzer.enableStereo();
+  const bandCount = Object.keys(analyzer.frequencyBands).length;
+  assert.strictEqual(analyzer.stereo.leftBands.length, bandCount);
+  assert.strictEqual(analyzer.stereo.rightBands.length, bandCount);
+});
+
+test('band pan stays within [-1, 1] for hard-left, hard-right and centred signals', () => {
+  const cases = [
+    { left: 200, right: 0, expected: -1 },
+    { left: 0, right: 200, expected: 1 },
+    { left: 200, right: 200, expected: 0 }
+  ];
+  
+  cases.forEach(({ left, right, expected }) => {
+    const { bandPan } = measureStereo([left / 255, right / 255]);
+    assert.strictEqual(Object.keys(bandPan).length, 7);
+    Object.entries(bandPan).forEach(([band, pan]) => {
+      assert.ok(Number.isFinite(pan), `${band} pan is not finite: ${pan}`);
+      assert.ok(pan >= -1 && pan <= 1, `${band} pan out of range: ${pan}`);
+      // A silent channel sits at minDecibels, not zero power, so hard pans land just short of +-1
+      assert.ok(Math.abs(pan - expected) < 1e-3, `${band} pan ${pan}, expected ${expected}`);
+    });
+  });
+});
+
+test('a mono source reads as centred and fully correlated', () => {
+  const stats = measureStereo([0.6]);
+  
+  assert.ok(stats.leftLevel > 0 && Math.abs(stats.leftLevel - stats.rightLevel) < 1e-6);
+  assert.ok(Math.abs(stats.balance) < 1e-6, `balance ${stats.balance}`);
+  assert.ok(Math.abs(stats.correlation - 1) < 1e-6, `correlation ${stats.correlation}`);
+  assert.ok(stats.width < 1e-6, `width ${stats.width}`);
+  Object.entries(stats.bandPan).forEach(([band, pan]) => {
+    assert.ok(Math.abs(pan) < 1e-6, `${band} pan ${pan}`);
+  });
+});
+
+test('a sine inside a band drives that band and stays out of non-adjacent bands', () => {
+  const bandTable = new AudioAnalyzer(new SignalFrameSource(new Float32Array(4096))).frequencyBands;
+  const names = Object.keys(bandTable);
+  
+  names.forEach((name, index) => {
+    const { min, max } = bandTable[name];
+    const frequency = Math.sqrt(Math.max(min, 20) * max); // geometric band centre
+    const energies = analyzeSignal(SignalGenerator.sine(frequency, 1)).getAllBandEnergies();
+    
+    assert.ok(energies[name] > 0.005, `${name} energy ${energies[name]} for a ${frequency.toFixed(0)} Hz sine`);
+    names.forEach((other, otherIndex) => {
+      if (otherIndex === index) return;
+      assert.ok(energies[other] < energies[name], `${other} louder than ${name} for a ${name} sine`);
+      if (Math.abs(otherIndex - index) > 1) {
+        assert.ok(energies[other] < 0.005, `${other} energy ${energies[other]} for a ${name} sine`);
+      }
+    });
+  });
+});
+
+test('an impulse train at 120 BPM yields a tempo of about 120 and one beat per impulse', () => {
+  const duration = 30;
+  let beats = 0;
+  let wasBeat = false;
+  const analyzer = analyzeSignal(SignalGenerator.impulseTrain(120, duration), (current) => {
+    if (current.isBeat && !wasBeat) beats++;
+    wasBeat = current.isBeat;
+  });
+  
+  assert.ok(Math.abs(analyzer.getTempo() - 120) < 1, `tempo ${analyzer.getTempo()}`);
+  assert.ok(analyzer.getTempoConfidence() > 0.5, `confidence ${analyzer.getTempoConfidence()}`);
+  assert.ok(Math.abs(beats - duration * 2) <= 2, `${beats} beats for ${duration * 2} impulses`);
+  
+  // A disposed analyzer starts the next track without the old beat grid
+  analyzer.dispose();
+  assert.strictEqual(analyzer.getTempo(), 0);
+  assert.strictEqual(analyzer.getTempoConfidence(), 0);
+  assert.strictEqual(analyzer.getNextBeatTime(), 0);
+  assert.strictEqual(analyzer.lastTempoUpdate, -Infinity);
+});
+
+test('analyzeBuffer tracks the pitch of a 440 Hz sine', () => {
+  const track = AudioAnalyzer.analyzeBuffer(toAudioBuffer(SignalGenerator.sine(440, 2)));
+  
+  // Skip the first frames while the analysis window fills
+  const frames = track.frames.slice(10);
+  assert.ok(frames.length > 0);
+  frames.forEach(frame => {
+    assert.ok(Math.abs(frame.pitch - 440) < 2, `pitch ${frame.pitch} at ${frame.time.toFixed(2)} s`);
+  });
+  assert.ok(track.getFrameAt(1).pitchConfidence > 0.9);
+});
+
+test('a longer harmonic/percussive kernel resizes its median window', () => {
+  const samples = SignalGenerator.sine(440, 3);
+  const source = new SignalFrameSource(samples);
+  const analyzer = new AudioAnalyzer(source);
+  analyzer.setHarmonicPercussiveKernel({ time: 31, frequency: 41 });
+  assert.ok(analyzer.hpssScratch.length >= 41);
+  
+  const ratios = [];
+  while (source.advance()) {
+    analyzer.update();
+    ratios.push(analyzer.getHarmonicPercussive().harmonicRatio);
+  }
+  const ratio = ratios.slice(-20).reduce((sum, value) => sum + value, 0) / 20;
+  assert.ok(ratio > 0.9, `harmonic ratio ${ratio}`);
+});
+
+test('a steady impulse train raises no build-ups', () => {
+  [120, 128].forEach(bpm => {
+    const analyzer = analyzeSignal(SignalGenerator.impulseTrain(bpm, 30));
+    const buildUps = analyzer.structureEvents.filter(event => event.type === 'buildUp');
+    assert.strictEqual(buildUps.length, 0, `${buildUps.length} build-ups at ${bpm} BPM`);
+  });
+});
+
+test('structure detection finds a breakdown, build-up and drop in order', () => {
+  const sampleRate = 22050;
+  const noise = SignalGenerator.whiteNoise(60, { sampleRate, amplitude: 1 });
+  const kick = SignalGenerator.impulseTrain(128, 60, { sampleRate });
+  const segment = (duration, generate) => {
+    const samples = new Float32Array(Math.round(duration * sampleRate));
+    for (let i = 0; i < samples.length; i++) samples[i] = generate(i / sampleRate, i);
+    return samples;
+  };
+  const parts = [
+    segment(1, () => 0),
+    segment(12, (t, i) => 0.3 * kick[i] + 0.1 * noise[i]), // main
+    segment(6, t => 0.02 * Math.sin(2 * Math.PI * 220 * t)), // breakdown
+    segment(6, (t, i) => (0.005 + 0.008 * t) * noise[i]), // riser
+    segment(10, (t, i) => 0.5 * kick[i] + 0.15 * noise[i]), // drop
+    segment(6, () => 0)
+  ];
+  const samples = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    samples.set(part, offset);
+    offset += part.length;
+  });
+  
+  const track = AudioAnalyzer.analyzeBuffer(toAudioBuffer(samples, sampleRate));
+  const sections = track.structureEvents
+    .map(event => event.type)
+    .filter(type => type === 'breakdown' || type === 'buildUp' || type === 'drop');
+  assert.deepStrictEqual(sections, ['breakdown', 'buildUp', 'drop']);
+  
+  const drop = track.structureEvents.find(event => event.type === 'drop');
+  assert.ok(Math.abs(drop.time - 25) < 1, `drop at ${drop.time}`);
+});
+
+test('applyAudioProfile resets bands left out of emphasizedBands', () => {
+  const analyzer = new AudioAnalyzer(new SignalFrameSource(new Float32Array(4096)));
+  analyzer.applyAudioProfile({ emphasizedBands: { bass: 1.5 } });
+  analyzer.applyAudioProfile({ emphasizedBands: { treble: 1.3 } });
+  
+  assert.strictEqual(analyzer.bandEmphasis.treble, 1.3);
+  Object.keys(analyzer.frequencyBands)
+    .filter(band => band !== 'treble')
+    .forEach(band => assert.strictEqual(analyzer.bandEmphasis[band], 1, `${band} emphasis`));
+  
+  // Profiles without a band map keep the current emphasis
+  analyzer.applyAudioProfile({ beatThreshold: 0.5 });
+  assert.strictEqual(analyzer.bandEmphasis.treble, 1.3);
+});
+
+test('the calm profile ignores soft transients that the energetic profile reacts to', () => {
+  const MoodEngine = require('../js/moodEngine.js');
+  const engine = new MoodEngine();
+  const countBeats = (samples, mood) => {
+    let beats = 0;
+    let wasBeat = false;
+    const source = new SignalFrameSource(samples);
+    const analyzer = new AudioAnalyzer(source);
+    analyzer.applyAudioProfile(engine.getAudioProfile(engine.moods[mood]));
+    while (source.advance()) {
+      analyzer.update();
+      if (analyzer.isBeat && !wasBeat) beats++;
+      wasBeat = analyzer.isBeat;
+    }
+    return beats;
+  };
+  
+  // 16 impulses over quiet noise: a soft tick about 6 dB up, and a loud kick
+  const noise = SignalGenerator.whiteNoise(8, { amplitude: 0.002 });
+  const soft = SignalGenerator.mix(noise, SignalGenerator.impulseTrain(120, 8, { amplitude: 0.004 }));
+  const loud = SignalGenerator.mix(noise, SignalGenerator.impulseTrain(120, 8, { amplitude: 0.3 }));
+  
+  const calmSoft = countBeats(soft, 'calm');
+  assert.ok(calmSoft <= 5, `calm fired ${calmSoft} beats on soft transients`);
+  assert.ok(countBeats(soft, 'energetic') >= 16);
+  assert.ok(countBeats(loud, 'calm') >= 14);
+  assert.ok(countBeats(loud, 'energetic') >= 16);
+});
+
+test('threshold triggers fire on the threshold and re-arm past the hysteresis band', () => {
+  const analyzer = new AudioAnalyzer(new SignalFrameSource(new Float32Array(4096)));
+  let value = 0;
+  const fired = [];
+  analyzer.addListener(event => fired.push(`${event.data.direction}@${event.timestamp}`), 'trigger');
+  analyzer.addTrigger({ name: 'level', feature: () => value, threshold: 0.5, direction: 'both', hysteresis: 0.1 });
+  
+  // 0.45 is inside the band, so neither direction re-arms there
+  [0.2, 0.55, 0.45, 0.55, 0.65, 0.49, 0.55, 0.35, 0.5].forEach((level, time) => {
+    value = level;
+    analyzer.evaluateTriggers(time);
+  });
+  
+  assert.deepStrictEqual(fired, ['rising@1', 'falling@5', 'rising@8']);
+});
+
+test('worklet ring frames keep sample-accurate times past 2^24 samples', () => {
+  const { FeatureRingBuffer } = AudioAnalyzer;
+  const capacity = 4;
+  const buffer = FeatureRingBuffer.allocate(capacity);
+  const ring = new FeatureRingBuffer(buffer, capacity);
+  const stride = FeatureRingBuffer.FIELDS.length;
+  
+  // Write the way analysisWorklet.js does: frame data, then bump the write count
+  const sampleRate = 44100;
+  const times = [2 ** 24 + 1, 2 ** 25 + 3].map(sample => sample / sampleRate);
+  times.forEach((time, index) => {
+    ring.data[index * stride] = time;
+    Atomics.add(ring.header, 0, 1);
+  });
+  
+  const frames = ring.read();
+  assert.deepStrictEqual(frames.map(frame => Math.round(frame.time * sampleRate)), [2 ** 24 + 1, 2 ** 25 + 3]);
+});
+
+test('an analyzer following a MoodEngine interpolates its audio profile through a transition', () => {
+  const MoodEngine = require('../js/moodEngine.js');
+  const { ManualClock } = require('../js/clock.js');
+  const clock = new ManualClock();
+  const engine = new MoodEngine(clock);
+  const source = new SignalFrameSource(new Float32Array(44100));
+  const analyzer = new AudioAnalyzer(source);
+  analyzer.setMoodEngine(engine);
+  
+  const calm = engine.getAudioProfile(engine.moods.calm);
+  const energetic = engine.getAudioProfile(engine.moods.energetic);
+  const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} vs ${expected}`);
+  
+  source.advance();
+  analyzer.update();
+  close(analyzer.beatThreshold, calm.beatThreshold);
+  close(analyzer.onsetRefractoryPeriod, calm.onsetCooldown);
+  
+  engine.changeMood('energetic', { duration: 1000, easing: 'linear' });
+  clock.advance(500);
+  source.advance();
+  analyzer.update();
+  close(analyzer.beatThreshold, (calm.beatThreshold + energetic.beatThreshold) / 2);
+  close(analyzer.beatSensitivity, (calm.beatSensitivity + energetic.beatSensitivity) / 2);
+  close(analyzer.onsetRefractoryPeriod, (calm.onsetCooldown + energetic.onsetCooldown) / 2);
+  close(analyzer.bandEmphasis.bass, (calm.emphasizedBands.bass + energetic.emphasizedBands.bass) / 2);
+  close(analyzer.bandEmphasis.mid, (calm.emphasizedBands.mid + energetic.emphasizedBands.mid) / 2);
+  
+  clock.advance(500);
+  source.advance();
+  analyzer.update();
+  close(analyzer.beatThreshold, energetic.beatThreshold);
+  close(analyzer.bandEmphasis.subBass, energetic.emphasizedBands.subBass);
+  
+  // Unfollowing keeps the settings last applied
+  analyzer.setMoodEngine(null);
+  engine.changeMood('calm', { duration: 0 });
+  source.advance();
+  analyzer.update();
+  close(analyzer.beatThreshold, energetic.beatThreshold);
+});
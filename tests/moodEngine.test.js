@@ -0,0 +1,594 @@
+/**
+ * MoodEngine and MoodTimeline tests - run with `node --test tests/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const MoodEngine = require('../js/moodEngine.js');
+const { ManualClock, AudioClock } = require('../js/clock.js');
+
+const { MoodTimeline } = MoodEngine;
+
+// MoodEngine narrates every transition on the console
+console.log = () => {};
+
+/**
+ * Engine on manual time, with the session log on its own manual clock
+ * @returns {object} - { engine, clock, sessionClock, advance(ms) }
+ */
+function createEngine() {
+  const clock = new ManualClock();
+  const sessionClock = new ManualClock();
+  const engine = new MoodEngine(clock);
+  engine.setSessionClock(sessionClock);
+  
+  const advance = (milliseconds) => {
+    clock.advance(milliseconds);
+    sessionClock.advance(milliseconds);
+    engine.getInterpolatedMoodData(); // renders a frame
+  };
+  return { engine, clock, sessionClock, advance };
+}
+
+/**
+ * Run a function with console.error captured
+ * @returns {object} - { result, errors } with errors joined into one string
+ */
+function captureErrors(fn) {
+  const messages = [];
+  const consoleError = console.error;
+  console.error = (...args) => messages.push(args.join(' '));
+  try {
+    return { result: fn(), errors: messages.join('\n') };
+  } finally {
+    console.error = consoleError;
+  }
+}
+
+test('session stats stay on the session clock when a timeline takes over the engine clock', () => {
+  const { engine, sessionClock, advance } = createEngine();
+  engine.changeMood('energetic');
+  advance(5000);
+  
+  const timeline = new MoodTimeline(engine);
+  timeline.loadScript('0:00 heartbreak, 0:20 calm');
+  timeline.attach();
+  sessionClock.advance(3000);
+  timeline.update(3);
+  
+  const stats = engine.getSessionStats();
+  assert.strictEqual(stats.timePerMood.energetic, 5000);
+  assert.strictEqual(stats.timePerMood.heartbreak, 3000);
+  // The initial calm entry dates from construction, just before the session clock was swapped
+  assert.ok(Math.abs(stats.duration - 8000) < 50, `duration ${stats.duration}`);
+});
+
+test('seeking within a cue does not log another mood change', () => {
+  const { engine } = createEngine();
+  const timeline = new MoodTimeline(engine);
+  timeline.loadScript('0:00 calm, 0:10 energetic, 0:30 heartbreak');
+  timeline.attach();
+  
+  [12, 15, 11, 20, 14].forEach(position => timeline.seek(position));
+  timeline.seek(35);
+  
+  const moods = engine.getSessionLog().map(entry => `${entry.source}:${entry.mood}`);
+  assert.deepStrictEqual(moods, ['initial:calm', 'scheduled:energetic', 'scheduled:heartbreak']);
+});
+
+test('a routed change counts once, with its hops logged as routed', () => {
+  const { engine, advance } = createEngine();
+  engine.setTransitionRules('calm', ['energetic']);
+  engine.changeMood('heartbreak');
+  advance(engine.getTransitionEdge('calm', 'energetic').duration);
+  advance(engine.getTransitionEdge('energetic', 'heartbreak').duration);
+  
+  const log = engine.getSessionLog();
+  assert.deepStrictEqual(log.map(entry => [entry.mood, entry.target, entry.routed]), [
+    ['calm', 'calm', false],
+    ['energetic', 'heartbreak', false],
+    ['heartbreak', 'heartbreak', true]
+  ]);
+  
+  const stats = engine.getSessionStats();
+  assert.strictEqual(stats.changes, 1);
+  assert.deepStrictEqual(stats.changesBySource, { manual: 1 });
+});
+
+test('narrowing transition rules drops stale edges so the pack re-imports', () => {
+  const { engine } = createEngine();
+  assert.ok(engine.setTransitionEdge('calm', 'energetic', { duration: 500 }));
+  assert.ok(engine.setTransitionEdge('calm', 'heartbreak', { duration: 700 }));
+  assert.ok(engine.setTransitionRules('calm', ['heartbreak']));
+  
+  const pack = engine.exportMoodPack();
+  assert.deepStrictEqual(Object.keys(JSON.parse(pack).transitionEdges), ['calm->heartbreak']);
+  assert.strictEqual(engine.importMoodPack(pack), true);
+});
+
+test('transitions on a manual clock replay identically and hold still while the clock does', () => {
+  const render = () => {
+    const { engine, clock } = createEngine();
+    engine.changeMood('energetic', { duration: 1000 });
+    const frames = [];
+    for (let frame = 0; frame < 45; frame++) {
+      clock.advance(20);
+      frames.push(engine.getInterpolatedMoodData());
+    }
+    return { engine, frames };
+  };
+  
+  const { engine, frames } = render();
+  assert.deepStrictEqual(render().frames, frames);
+  assert.ok(Math.abs(frames[24].transitionProgress - 0.5) < 1e-9);
+  assert.deepStrictEqual(engine.getInterpolatedMoodData(), frames[44]);
+  assert.strictEqual(frames[44].isTransitioning, true);
+});
+
+test('toScript writes object easings in script syntax and refuses cues it cannot express', () => {
+  const { engine } = createEngine();
+  const timeline = new MoodTimeline(engine);
+  timeline.setCues([
+    { time: 0, mood: 'calm' },
+    { time: 72, mood: 'energetic', duration: 4000, easing: { type: 'steps', count: 4, position: 'start' } },
+    { time: 160, mood: 'heartbreak', easing: { type: 'cubicBezier', x1: 0.2, y1: 0, x2: 0.4, y2: 1 } }
+  ]);
+  
+  const script = timeline.toScript();
+  assert.strictEqual(script, [
+    '0:00 calm',
+    '1:12 energetic over 4 s with steps(4, start)',
+    '2:40 heartbreak with cubic-bezier(0.2, 0, 0.4, 1)'
+  ].join('\n'));
+  assert.strictEqual(MoodTimeline.parseScript(script).errors.length, 0);
+  
+  timeline.addCue({ time: 200, mood: 'calm', parameters: { color: { delay: 0.5 } } });
+  const { result, errors } = captureErrors(() => timeline.toScript());
+  
+  assert.strictEqual(result, null);
+  assert.match(errors, /Cue at 3:20: per-parameter timings/);
+  assert.deepStrictEqual(timeline.toJSON().cues[3].parameters, { color: { delay: 0.5 } });
+});
+
+test('a blend fades in on the engine clock and reading it leaves the fade state alone', () => {
+  const { engine, clock, advance } = createEngine();
+  assert.ok(engine.setBlend({ calm: 0.6, heartbreak: 0.4 }, 1000));
+  const { calm, heartbreak } = engine.moods;
+  const target = {
+    brightness: calm.brightness * 0.6 + heartbreak.brightness * 0.4,
+    particleSpeed: calm.particleSpeed * 0.6 + heartbreak.particleSpeed * 0.4,
+    red: Math.round(calm.color.r * 0.6 + heartbreak.color.r * 0.4)
+  };
+  
+  // Still on the calm look when the blend starts
+  assert.strictEqual(engine.getInterpolatedMoodData().brightness, calm.brightness);
+  
+  clock.advance(1000);
+  const from = engine.blend.from;
+  const settled = engine.getBlendedMoodData();
+  assert.strictEqual(engine.blend.from, from);
+  assert.ok(Math.abs(settled.brightness - target.brightness) < 1e-9);
+  assert.ok(Math.abs(settled.particleSpeed - target.particleSpeed) < 1e-9);
+  assert.strictEqual(settled.color.r, target.red);
+  
+  advance(0);
+  assert.strictEqual(engine.blend.from, null);
+  const frame = engine.getInterpolatedMoodData();
+  assert.deepStrictEqual(frame.blendWeights, { calm: 0.6, heartbreak: 0.4 });
+  assert.strictEqual(frame.mood, 'calm');
+  assert.deepStrictEqual(frame.color, settled.color);
+});
+
+test('transition progress is linear while parameters follow their own easing and timing', () => {
+  const { engine, clock } = createEngine();
+  assert.ok(engine.setParameterTiming('color', { delay: 0, duration: 0.5, easing: 'linear' }));
+  engine.changeMood('energetic', { duration: 1000, easing: 'easeInExpo' });
+  const { calm, energetic } = engine.moods;
+  
+  clock.advance(250);
+  const frame = engine.getInterpolatedMoodData();
+  assert.strictEqual(frame.transitionProgress, 0.25);
+  
+  // Colour leads at its own linear pace, halfway there; brightness barely moves under easeInExpo
+  assert.strictEqual(frame.color.r, Math.round((calm.color.r + energetic.color.r) / 2));
+  const eased = engine.getEasing('easeInExpo')(0.25);
+  assert.ok(Math.abs(frame.brightness - (calm.brightness + (energetic.brightness - calm.brightness) * eased)) < 1e-9);
+  assert.ok(eased < 0.01);
+});
+
+test('exportMoodPack refuses easing functions instead of dropping them', () => {
+  const { engine } = createEngine();
+  assert.ok(engine.setTransitionEdge('calm', 'energetic', { easing: t => t * t }));
+  const { result, errors } = captureErrors(() => engine.exportMoodPack());
+  
+  assert.strictEqual(result, null);
+  assert.match(errors, /transitionEdges\.calm->energetic\.easing: easing functions cannot be exported/);
+  
+  assert.ok(engine.setTransitionEdge('calm', 'energetic', { easing: 'cubic-bezier(0.2, 0, 0.4, 1)' }));
+  assert.strictEqual(JSON.parse(engine.exportMoodPack()).transitionEdges['calm->energetic'].easing, 'cubic-bezier(0.2, 0, 0.4, 1)');
+});
+
+test('auto mood switches to a confident estimate only after the dwell time', () => {
+  const { engine, clock, advance } = createEngine();
+  engine.enableAutoMood({ minDwell: 5000, window: 2000 });
+  const feed = (mood, milliseconds) => {
+    const features = engine.getFeatureProfile(mood);
+    for (let elapsed = 0; elapsed < milliseconds; elapsed += 100) {
+      engine.updateAutoMood(features);
+      advance(100);
+    }
+  };
+  
+  feed('energetic', 4900);
+  assert.strictEqual(engine.currentMood, 'calm');
+  const estimate = engine.getAutoMoodState();
+  assert.strictEqual(estimate.mood, 'energetic');
+  assert.ok(estimate.confidence > engine.autoMood.minConfidence);
+  
+  feed('energetic', 200);
+  assert.strictEqual(engine.currentMood, 'energetic');
+  const switchedAt = clock.now();
+  
+  // A change of music right after a switch waits out the dwell time again
+  feed('heartbreak', 4000);
+  assert.strictEqual(engine.currentMood, 'energetic');
+  feed('heartbreak', 1500);
+  assert.strictEqual(engine.currentMood, 'heartbreak');
+  assert.ok(clock.now() - switchedAt >= 5000);
+  
+  const auto = engine.getSessionLog().filter(entry => entry.source === 'auto');
+  assert.deepStrictEqual(auto.map(entry => entry.mood), ['energetic', 'heartbreak']);
+});
+
+test('auto mood keeps the current mood when a candidate does not clear the hysteresis margin', () => {
+  const { engine } = createEngine();
+  engine.enableAutoMood({ minDwell: 0, hysteresis: 0.5 });
+  
+  // Halfway between calm and heartbreak: heartbreak may lead, but not by enough
+  const calm = engine.getFeatureProfile('calm');
+  const heartbreak = engine.getFeatureProfile('heartbreak');
+  const between = {};
+  Object.keys(calm).forEach(key => {
+    between[key] = calm[key] * 0.45 + heartbreak[key] * 0.55;
+  });
+  const { scores } = engine.updateAutoMood(between);
+  
+  assert.ok(scores.heartbreak > scores.calm);
+  assert.ok(scores.heartbreak - scores.calm < 0.5);
+  assert.strictEqual(engine.currentMood, 'calm');
+});
+
+test('registerMood validates every field and reports all problems at once', () => {
+  const { engine } = createEngine();
+  const definition = {
+    ...engine.moods.calm,
+    name: 'Euphoric',
+    color: { r: 300, g: 200, b: 10 },
+    brightness: 1.5,
+    frequencyBand: { low: 50, mid: 20, high: 80 },
+    backgroundColor: 'not a color',
+    sparkle: true
+  };
+  
+  const { result, errors } = captureErrors(() => engine.registerMood('euphoric', definition));
+  assert.strictEqual(result, false);
+  [
+    'color.r must be an integer between 0 and 255',
+    'brightness must be a number between 0 and 1 (got 1.5)',
+    'frequencyBand.low must not exceed frequencyBand.mid',
+    'backgroundColor must be a CSS color',
+    'sparkle is not a known mood field'
+  ].forEach(message => assert.ok(errors.includes(message), `missing "${message}"`));
+  assert.strictEqual(engine.moods.euphoric, undefined);
+  
+  const valid = { ...engine.moods.calm, name: 'Euphoric', color: { r: 255, g: 220, b: 40 } };
+  assert.ok(engine.registerMood('euphoric', valid, ['energetic']));
+  assert.deepStrictEqual(engine.transitionRules.euphoric, ['energetic']);
+  assert.ok(!engine.transitionRules.calm.includes('euphoric'));
+  assert.strictEqual(captureErrors(() => engine.updateMood('euphoric', { particleSpeed: 11 })).result, false);
+  assert.ok(engine.updateMood('euphoric', { particleSpeed: 3 }));
+  assert.strictEqual(engine.moods.euphoric.particleSpeed, 3);
+});
+
+test('a mood pack round-trips through JSON and a bad pack changes nothing', () => {
+  const { engine } = createEngine();
+  assert.ok(engine.registerMood('euphoric', { ...engine.moods.energetic, name: 'Euphoric' }));
+  assert.ok(engine.setTransitionEdge('calm', 'euphoric', { duration: 3000, easing: 'easeOutBack' }));
+  assert.ok(engine.setParameterTiming('color', { delay: 0.2 }));
+  const pack = engine.exportMoodPack();
+  
+  const copy = createEngine().engine;
+  assert.ok(copy.importMoodPack(pack));
+  assert.deepStrictEqual(copy.moods, engine.moods);
+  assert.deepStrictEqual(copy.transitionRules, engine.transitionRules);
+  assert.deepStrictEqual(copy.transitionEdges, engine.transitionEdges);
+  assert.deepStrictEqual(copy.parameterTimings, engine.parameterTimings);
+  assert.strictEqual(copy.exportMoodPack(), pack);
+  
+  const broken = JSON.parse(pack);
+  broken.moods.euphoric.particleOpacity = 2;
+  broken.transitionRules.calm.push('missing');
+  const { result, errors } = captureErrors(() => copy.importMoodPack(broken));
+  assert.strictEqual(result, false);
+  assert.match(errors, /particleOpacity/);
+  assert.match(errors, /target missing does not exist/);
+  assert.strictEqual(copy.exportMoodPack(), pack);
+});
+
+test('retargeting mid-fade continues from the on-screen state and remembers the real source', () => {
+  const { engine, clock, advance } = createEngine();
+  engine.changeMood('energetic', { duration: 1000 });
+  advance(400);
+  
+  const onScreen = engine.getInterpolatedMoodData();
+  assert.ok(engine.changeMood('heartbreak', { duration: 1000 }));
+  const restarted = engine.getInterpolatedMoodData();
+  assert.strictEqual(engine.previousMood, 'energetic');
+  assert.strictEqual(restarted.transitionProgress, 0);
+  ['brightness', 'particleSpeed', 'color', 'frequencyBand'].forEach(key => {
+    assert.deepStrictEqual(restarted[key], onScreen[key], `${key} jumped on retarget`);
+  });
+  
+  clock.advance(1000);
+  const settled = engine.getInterpolatedMoodData();
+  assert.strictEqual(settled.isTransitioning, false);
+  assert.strictEqual(settled.brightness, engine.moods.heartbreak.brightness);
+  
+  const log = engine.getSessionLog();
+  assert.deepStrictEqual(log.slice(1).map(entry => [entry.from, entry.mood, entry.interrupted]), [
+    ['calm', 'energetic', false],
+    ['energetic', 'heartbreak', true]
+  ]);
+});
+
+test('the queue policy plays requests in order and the reject policy refuses them', () => {
+  const { engine, advance } = createEngine();
+  assert.ok(engine.setTransitionPolicy('queue'));
+  engine.changeMood('energetic', { duration: 1000 });
+  advance(300);
+  assert.ok(engine.changeMood('heartbreak', { duration: 500 }));
+  assert.ok(engine.changeMood('calm', { duration: 500 }));
+  assert.strictEqual(engine.currentMood, 'energetic');
+  
+  advance(700);
+  assert.strictEqual(engine.currentMood, 'heartbreak');
+  assert.strictEqual(engine.transitionDuration, 500);
+  advance(500);
+  assert.strictEqual(engine.currentMood, 'calm');
+  advance(500);
+  assert.strictEqual(engine.isTransitioning, false);
+  assert.deepStrictEqual(engine.transitionQueue, []);
+  
+  assert.ok(engine.setTransitionPolicy('reject'));
+  engine.changeMood('energetic', { duration: 1000 });
+  advance(300);
+  assert.strictEqual(engine.changeMood('heartbreak'), false);
+  assert.strictEqual(engine.currentMood, 'energetic');
+});
+
+test('non-adjacent moods are reached over the fastest route, each hop with its own edge', () => {
+  const { engine, advance } = createEngine();
+  assert.ok(engine.registerMood('euphoric', { ...engine.moods.energetic, name: 'Euphoric' }, ['energetic']));
+  assert.ok(engine.setTransitionRules('energetic', ['calm', 'heartbreak', 'euphoric']));
+  assert.ok(engine.setTransitionRules('heartbreak', ['calm', 'energetic', 'euphoric']));
+  assert.ok(engine.setTransitionRules('calm', ['energetic', 'heartbreak']));
+  assert.ok(engine.setTransitionEdge('calm', 'energetic', { duration: 3000 }));
+  assert.ok(engine.setTransitionEdge('energetic', 'euphoric', { duration: 500 }));
+  assert.ok(engine.setTransitionEdge('calm', 'heartbreak', { duration: 1000 }));
+  assert.ok(engine.setTransitionEdge('heartbreak', 'euphoric', { duration: 1000, easing: 'linear' }));
+  
+  assert.deepStrictEqual(engine.findMoodPath('calm', 'euphoric'), ['calm', 'heartbreak', 'euphoric']);
+  assert.strictEqual(engine.findMoodPath('euphoric', 'missing'), null);
+  
+  assert.ok(engine.changeMood('euphoric'));
+  assert.strictEqual(engine.currentMood, 'heartbreak');
+  assert.strictEqual(engine.transitionDuration, 1000);
+  advance(1000);
+  assert.strictEqual(engine.currentMood, 'euphoric');
+  assert.strictEqual(engine.transitionEasing, 'linear');
+  advance(500);
+  assert.strictEqual(engine.getInterpolatedMoodData().transitionProgress, 0.5);
+  advance(500);
+  assert.strictEqual(engine.isTransitioning, false);
+  
+  // Once nothing leads back, the request is refused rather than half-routed
+  assert.ok(engine.setTransitionRules('euphoric', []));
+  assert.strictEqual(engine.changeMood('calm'), false);
+  assert.strictEqual(engine.currentMood, 'euphoric');
+});
+
+test('nudging a blend keeps the other weights in proportion and mixes nested fields N ways', () => {
+  const { engine, advance } = createEngine();
+  assert.ok(engine.setBlend({ calm: 2, energetic: 1, heartbreak: 1 }, 0));
+  assert.ok(engine.nudgeBlend('heartbreak', 0.25, 0));
+  
+  const weights = engine.getBlendWeights();
+  assert.ok(Math.abs(weights.heartbreak - 0.5) < 1e-9);
+  assert.ok(Math.abs(weights.calm - 2 * weights.energetic) < 1e-9);
+  
+  const frame = engine.getInterpolatedMoodData();
+  const expected = Object.keys(weights).reduce((sum, mood) =>
+    sum + engine.moods[mood].frequencyBand.mid * weights[mood], 0);
+  assert.ok(Math.abs(frame.frequencyBand.mid - expected) < 1e-9);
+  assert.strictEqual(frame.mood, 'heartbreak');
+  
+  // Leaving the blend fades to its dominant mood
+  assert.ok(engine.clearBlend({ duration: 500 }));
+  assert.strictEqual(engine.getBlendWeights(), null);
+  advance(500);
+  assert.strictEqual(engine.getInterpolatedMoodData().brightness, engine.moods.heartbreak.brightness);
+});
+
+test('every named easing runs from 0 to 1 and parametric easings parse in both forms', () => {
+  const { engine } = createEngine();
+  engine.getAvailableEasings().forEach(name => {
+    const easing = engine.getEasing(name);
+    assert.ok(Math.abs(easing(0)) < 1e-9, `${name}(0) = ${easing(0)}`);
+    assert.ok(Math.abs(easing(1) - 1) < 1e-9, `${name}(1) = ${easing(1)}`);
+  });
+  
+  const bezier = engine.getEasing('cubic-bezier(0.42, 0, 0.58, 1)');
+  assert.ok(Math.abs(bezier(0.5) - 0.5) < 1e-5);
+  assert.ok(bezier(0.25) < 0.25);
+  const objectBezier = engine.getEasing({ type: 'cubicBezier', x1: 0.42, y1: 0, x2: 0.58, y2: 1 });
+  [0.1, 0.3, 0.7, 0.9].forEach(t => assert.strictEqual(objectBezier(t), bezier(t)));
+  
+  const steps = engine.getEasing('steps(4)');
+  assert.deepStrictEqual([0, 0.2, 0.26, 0.74, 0.99, 1].map(steps), [0, 0, 0.25, 0.5, 0.75, 1]);
+  assert.deepStrictEqual([0.1, 0.3].map(engine.getEasing({ type: 'steps', count: 4, position: 'start' })), [0.25, 0.5]);
+  
+  assert.strictEqual(engine.getEasing('cubic-bezier(1.5, 0, 0.5, 1)'), null);
+  assert.strictEqual(captureErrors(() => engine.changeMood('energetic', { easing: 'wobble' })).result, false);
+});
+
+test('overshooting easings stay inside the schema ranges and staggered parameters lag in order', () => {
+  const { engine, clock } = createEngine();
+  engine.changeMood('energetic', { duration: 1000, easing: 'easeOutBack' });
+  clock.advance(700); // easeOutBack peaks above 1 around here
+  const frame = engine.getInterpolatedMoodData();
+  assert.ok(engine.getEasing('easeOutBack')(0.7) > 1);
+  assert.strictEqual(frame.brightness, 1);
+  assert.ok(frame.color.r <= 255);
+  clock.advance(300);
+  engine.getInterpolatedMoodData();
+  
+  assert.ok(engine.setParameterStagger(['color', 'brightness', 'particleSpeed'], 0.2, 'linear'));
+  engine.changeMood('calm', { duration: 1000 });
+  clock.advance(300);
+  const staggered = engine.getInterpolatedMoodData();
+  const share = (key) => (engine.moods.energetic[key] - staggered[key]) /
+    (engine.moods.energetic[key] - engine.moods.calm[key]);
+  
+  // Linear over 60% of the transition: halfway, then 1/6 after a 0.2 delay, then not started at 0.4
+  assert.ok(Math.abs((engine.moods.energetic.color.r - staggered.color.r) /
+    (engine.moods.energetic.color.r - engine.moods.calm.color.r) - 0.5) < 0.01);
+  assert.ok(Math.abs(share('brightness') - 1 / 6) < 1e-9);
+  assert.strictEqual(share('particleSpeed'), 0);
+});
+
+test('on an audio clock transitions pause with the context, and switching clocks keeps elapsed time', () => {
+  const context = { currentTime: 10 };
+  const engine = new MoodEngine(new AudioClock(context));
+  engine.changeMood('energetic', { duration: 2000 });
+  
+  context.currentTime = 10.5;
+  assert.strictEqual(engine.getTransitionProgress(), 0.25);
+  // Suspended context: currentTime stands still, and so does the fade
+  assert.strictEqual(engine.getInterpolatedMoodData().transitionProgress, 0.25);
+  
+  const manual = new ManualClock(90000);
+  engine.setClock(manual);
+  assert.strictEqual(engine.getTransitionProgress(), 0.25);
+  manual.advance(500);
+  assert.strictEqual(engine.getTransitionProgress(), 0.5);
+});
+
+test('seeking lands on the state the script defines there, mid-fade included, and pausing holds it', () => {
+  const { engine } = createEngine();
+  const timeline = new MoodTimeline(engine);
+  assert.ok(timeline.loadScript('0:00 calm, 0:10 energetic over 4 s with linear, 0:30 heartbreak'));
+  timeline.attach();
+  const { calm, energetic, heartbreak } = engine.moods;
+  const between = (from, to, share) => from.brightness + (to.brightness - from.brightness) * share;
+  
+  timeline.seek(12);
+  let frame = engine.getInterpolatedMoodData();
+  assert.strictEqual(frame.mood, 'energetic');
+  assert.strictEqual(frame.transitionProgress, 0.5);
+  assert.ok(Math.abs(frame.brightness - between(calm, energetic, 0.5)) < 1e-9);
+  
+  // Paused: the position stays put, and so does the look
+  timeline.update(12);
+  timeline.update(12);
+  assert.deepStrictEqual(engine.getInterpolatedMoodData(), frame);
+  
+  for (let step = 1; step <= 21; step++) timeline.update(12 + step / 10);
+  frame = engine.getInterpolatedMoodData();
+  assert.strictEqual(frame.isTransitioning, false);
+  assert.strictEqual(frame.brightness, energetic.brightness);
+  
+  // Backwards, and into the default two-second fade to heartbreak
+  timeline.seek(5);
+  assert.strictEqual(engine.getInterpolatedMoodData().brightness, calm.brightness);
+  timeline.seek(31);
+  frame = engine.getInterpolatedMoodData();
+  assert.strictEqual(frame.mood, 'heartbreak');
+  assert.ok(Math.abs(frame.brightness - between(energetic, heartbreak, 0.5)) < 1e-9);
+  assert.deepStrictEqual(timeline.getStateAt(31).color, frame.color);
+});
+
+test('mood scripts take several time formats and the timeline round-trips through JSON', () => {
+  const { cues, errors } = MoodTimeline.parseScript('90 calm\n1:30.5 energetic over 250 ms, 1:02:03 heartbreak, soon calm');
+  assert.deepStrictEqual(cues, [
+    { time: 90, mood: 'calm' },
+    { time: 90.5, mood: 'energetic', duration: 250 },
+    { time: 3723, mood: 'heartbreak' }
+  ]);
+  assert.deepStrictEqual(errors, ['Cannot parse cue: "soon calm"']);
+  
+  const { engine } = createEngine();
+  const timeline = new MoodTimeline(engine);
+  assert.ok(timeline.setCues([
+    { time: 20, mood: 'heartbreak', parameters: { color: { delay: 0.25 } } },
+    { time: 0, mood: 'calm' },
+    { time: 8, mood: 'energetic', duration: 3000, easing: { type: 'steps', count: 3 } }
+  ]));
+  const copy = new MoodTimeline(engine);
+  assert.ok(copy.load(JSON.stringify(timeline)));
+  assert.deepStrictEqual(copy.getCues(), timeline.getCues());
+  assert.deepStrictEqual(copy.getCues().map(cue => cue.time), [0, 8, 20]);
+  assert.strictEqual(captureErrors(() => copy.load({ cues: [{ time: -1, mood: 'calm' }] })).result, false);
+  assert.strictEqual(copy.getCues().length, 3);
+});
+
+test('the session log records source and features and exports JSON and CSV', () => {
+  const { engine, advance } = createEngine();
+  engine.clearSessionLog();
+  engine.changeMood('energetic', { source: 'manual', features: { energy: 0.9, bass: 0.7 } });
+  advance(3000);
+  engine.enableAutoMood({ minDwell: 0 });
+  const heartbreak = engine.getFeatureProfile('heartbreak');
+  for (let i = 0; i < 10; i++) {
+    engine.updateAutoMood(heartbreak);
+    advance(100);
+  }
+  assert.strictEqual(engine.currentMood, 'heartbreak');
+  advance(2000);
+  
+  const log = engine.getSessionLog();
+  assert.deepStrictEqual(log.map(entry => [entry.source, entry.mood]), [
+    ['initial', 'calm'], ['manual', 'energetic'], ['auto', 'heartbreak']
+  ]);
+  assert.deepStrictEqual(log[1].features, { energy: 0.9, bass: 0.7 });
+  assert.deepStrictEqual(log[2].features, heartbreak);
+  assert.ok(log[2].confidence >= engine.autoMood.minConfidence);
+  
+  const stats = engine.getSessionStats();
+  assert.strictEqual(stats.duration, 6000);
+  assert.deepStrictEqual(stats.changesBySource, { manual: 1, auto: 1 });
+  assert.strictEqual(stats.timePerMood.energetic, log[2].time - log[1].time);
+  assert.ok(Math.abs(Object.values(stats.moodShare).reduce((sum, share) => sum + share, 0) - 1) < 1e-9);
+  
+  const json = JSON.parse(engine.exportSessionLog('json'));
+  assert.deepStrictEqual(json.stats, stats);
+  assert.strictEqual(json.entries.length, 3);
+  
+  const [header, ...rows] = engine.exportSessionLog('csv').split('\n');
+  const columns = header.split(',');
+  assert.deepStrictEqual(columns.slice(0, 11),
+    ['time', 'mood', 'from', 'target', 'source', 'duration', 'easing', 'interrupted', 'routed', 'confidence', 'blend']);
+  assert.ok(['bass', 'energy', 'minor'].every(key => columns.includes(key)));
+  assert.strictEqual(rows.length, 3);
+  assert.strictEqual(rows[1].split(',')[columns.indexOf('energy')], '0.9');
+  assert.strictEqual(captureErrors(() => engine.exportSessionLog('xml')).result, null);
+});
+
+test('the session log keeps only its newest entries', () => {
+  const { engine, advance } = createEngine();
+  engine.clearSessionLog(3);
+  ['energetic', 'heartbreak', 'calm', 'energetic'].forEach(mood => {
+    engine.changeMood(mood);
+    advance(2000);
+  });
+  assert.deepStrictEqual(engine.getSessionLog().map(entry => entry.mood), ['heartbreak', 'calm', 'energetic']);
+});
@@ -0,0 +1,275 @@
+/**
+ * AdvancedVisualizer tests - run with `node --test tests/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ManualClock } = require('../js/clock.js');
+
+// The visualizer sizes its canvas from the window
+global.window = { innerWidth: 800, innerHeight: 600, addEventListener() {} };
+
+const { AdvancedVisualizer, createSeededRandom } = require('../js/visualizer.js');
+const MoodEngine = require('../js/moodEngine.js');
+
+// MoodEngine narrates every transition on the console
+console.log = () => {};
+
+/**
+ * 2D context that records every call and property write, in order
+ */
+function createRecordingContext() {
+  const calls = [];
+  const gradient = { addColorStop: (...args) => calls.push(['addColorStop', ...args]) };
+  const ctx = new Proxy({}, {
+    get: (target, name) => {
+      if (name === 'createRadialGradient') {
+        return (...args) => {
+          calls.push([name, ...args]);
+          return gradient;
+        };
+      }
+      return (...args) => calls.push([name, ...args]);
+    },
+    set: (target, name, value) => {
+      calls.push(['set', name, value === gradient ? 'gradient' : value]);
+      return true;
+    }
+  });
+  return { ctx, calls };
+}
+
+/**
+ * Visualizer on a ManualClock and seeded random source, fed a repeating kick pattern
+ * @returns {array} - Recorded drawing calls
+ */
+function renderSequence(seed, frames = 30) {
+  const { ctx, calls } = createRecordingContext();
+  const canvas = { width: 0, height: 0, getContext: () => ctx };
+  const clock = new ManualClock();
+  const visualizer = new AdvancedVisualizer(canvas, clock, createSeededRandom(seed));
+
+  const frequency = new Uint8Array(256).map((value, bin) => 255 - bin);
+  const waveform = new Uint8Array(2048).map((value, index) => 128 + Math.round(100 * Math.sin(index / 10)));
+  for (let frame = 0; frame < frames; frame++) {
+    clock.step();
+    visualizer.updateAudioData(frequency, waveform, { bass: 0.8, mid: 0.4, treble: 0.3 });
+    visualizer.updateAnalysis({ onsets: { kick: frame % 8 === 0, snare: false, hihat: frame % 4 === 2 } });
+    visualizer.renderFrame();
+  }
+  return calls;
+}
+
+test('a seeded random source and manual clock render identical frames', () => {
+  const first = renderSequence(7);
+  const second = renderSequence(7);
+
+  assert.ok(first.length > 1000, `only ${first.length} drawing calls`);
+  assert.deepStrictEqual(second, first);
+  assert.notDeepStrictEqual(renderSequence(8), first);
+});
+
+test('createSeededRandom repeats its sequence per seed and stays in [0, 1)', () => {
+  const draw = (random) => Array.from({ length: 1000 }, () => random());
+  const values = draw(createSeededRandom(42));
+
+  assert.deepStrictEqual(draw(createSeededRandom(42)), values);
+  assert.ok(values.every(value => value >= 0 && value < 1));
+});
+
+test('without band energies the bass/mid/treble split follows the three-band layout in Hz', () => {
+  const { ctx } = createRecordingContext();
+  const visualizer = new AdvancedVisualizer({ getContext: () => ctx }, new ManualClock());
+  
+  // 1024 bins at 44.1 kHz: ~21.5 Hz per bin, so bins 40-60 sit around 1 kHz
+  const frequency = new Uint8Array(1024);
+  frequency.fill(255, 40, 60);
+  visualizer.updateAudioData(frequency, new Uint8Array(2048));
+  
+  assert.strictEqual(visualizer.audioData.bass, 0);
+  assert.ok(visualizer.audioData.mid > 0.2, `mid ${visualizer.audioData.mid}`);
+  assert.strictEqual(visualizer.audioData.treble, 0);
+});
+
+test('a followed MoodEngine drives palette, physics and rotation every frame', () => {
+  const { ctx, calls } = createRecordingContext();
+  const clock = new ManualClock();
+  const engine = new MoodEngine(clock);
+  const visualizer = new AdvancedVisualizer({ getContext: () => ctx }, clock, createSeededRandom(1));
+  visualizer.setMoodEngine(engine);
+  
+  engine.changeMood('energetic', { duration: 1000 });
+  clock.advance(1000);
+  visualizer.renderFrame();
+  
+  const energetic = engine.moods.energetic;
+  const { r, g, b } = energetic.color;
+  assert.deepStrictEqual(calls.find(call => call[0] === 'set' && call[1] === 'fillStyle'),
+    ['set', 'fillStyle', energetic.backgroundColor]);
+  assert.strictEqual(visualizer.waveformRenderer.strokeColor, `rgba(${r}, ${g}, ${b}, 0.8)`);
+  assert.strictEqual(visualizer.particleSystem.speedScale, energetic.particleSpeed);
+  assert.strictEqual(visualizer.reactiveGeometry.rotationSpeed, energetic.rotationSpeed);
+  assert.strictEqual(visualizer.waveformRenderer.glow, energetic.glowIntensity * 20);
+  
+  // Particle hues cluster around the mood hue
+  const hue = AdvancedVisualizer.getHue(energetic.color);
+  assert.ok(visualizer.particleSystem.particles.length > 0);
+  visualizer.particleSystem.particles.forEach(particle => assert.ok(Math.abs(particle.hue - hue) <= 20));
+  
+  // Mid-fade the binding follows the interpolated parameters
+  engine.changeMood('calm', { duration: 1000 });
+  clock.advance(500);
+  visualizer.renderFrame();
+  const middle = (energetic.particleSpeed + engine.moods.calm.particleSpeed) / 2;
+  assert.ok(Math.abs(visualizer.particleSystem.speedScale - middle) < 1e-9);
+  
+  visualizer.setMoodEngine(null);
+  assert.strictEqual(visualizer.mood, null);
+  assert.strictEqual(visualizer.waveformRenderer.strokeColor, 'rgba(100, 200, 255, 0.8)');
+  assert.strictEqual(visualizer.particleSystem.speedScale, 1);
+});
+
+/**
+ * Layer that marks its draw position on the recording context
+ */
+function createMarkerLayer(name, log = []) {
+  return {
+    frames: [],
+    disposed: false,
+    update(frame) { this.frames.push(frame); },
+    render(ctx) { ctx.marker(name); },
+    dispose() {
+      this.disposed = true;
+      log.push(name);
+    }
+  };
+}
+
+/**
+ * Run fn with console.error captured
+ * @returns {object} - { result, errors }
+ */
+function captureErrors(fn) {
+  const errors = [];
+  const error = console.error;
+  console.error = (...args) => errors.push(args.join(' '));
+  try {
+    return { result: fn(), errors };
+  } finally {
+    console.error = error;
+  }
+}
+
+test('layers are added, validated, reordered and removed by name', () => {
+  const { ctx } = createRecordingContext();
+  const visualizer = new AdvancedVisualizer({ getContext: () => ctx }, new ManualClock());
+  const disposed = [];
+  const builtIn = visualizer.getLayers().map(layer => layer.name);
+  
+  assert.strictEqual(visualizer.addLayer('a', createMarkerLayer('a', disposed)), true);
+  assert.strictEqual(visualizer.addLayer('b', createMarkerLayer('b', disposed), { index: 0 }), true);
+  assert.deepStrictEqual(visualizer.getLayers().map(layer => layer.name), ['b', ...builtIn, 'a']);
+  
+  const rejected = captureErrors(() => [
+    visualizer.addLayer('a', createMarkerLayer('a')),
+    visualizer.addLayer('c', { update() {} }),
+    visualizer.addLayer('', createMarkerLayer('')),
+    visualizer.addLayer('d', createMarkerLayer('d'), { opacity: 1.5 }),
+    visualizer.addLayer('e', createMarkerLayer('e'), { blendMode: 'glow' }),
+    visualizer.setLayerOptions('a', { blendMode: 'glow' }),
+    visualizer.setLayerOptions('missing', { opacity: 0.5 })
+  ]);
+  assert.deepStrictEqual(rejected.result, [false, false, false, false, false, false, false]);
+  assert.strictEqual(rejected.errors.length, 7);
+  assert.strictEqual(visualizer.getLayers().length, builtIn.length + 2);
+  assert.strictEqual(visualizer.getLayerEntry('a').blendMode, 'source-over');
+  
+  assert.strictEqual(visualizer.moveLayer('a', 0), true);
+  assert.strictEqual(visualizer.moveLayer('missing', 0), false);
+  assert.deepStrictEqual(visualizer.getLayers().slice(0, 2).map(layer => layer.name), ['a', 'b']);
+  
+  assert.strictEqual(visualizer.removeLayer('b'), true);
+  assert.strictEqual(visualizer.removeLayer('b'), false);
+  assert.deepStrictEqual(disposed, ['b']);
+  assert.strictEqual(visualizer.getLayer('b'), null);
+  
+  visualizer.dispose();
+  assert.deepStrictEqual(disposed, ['b', 'a']);
+  assert.deepStrictEqual(visualizer.getLayers(), []);
+});
+
+test('layers draw in order with their opacity and blend mode and get the frame', () => {
+  const { ctx, calls } = createRecordingContext();
+  const clock = new ManualClock();
+  const engine = new MoodEngine(clock);
+  const visualizer = new AdvancedVisualizer({ getContext: () => ctx }, clock);
+  visualizer.setMoodEngine(engine);
+  const top = createMarkerLayer('top');
+  const bottom = createMarkerLayer('bottom');
+  visualizer.addLayer('top', top, { opacity: 0.5, blendMode: 'screen' });
+  visualizer.addLayer('bottom', bottom, { index: 0 });
+  visualizer.setLayerOptions('bottom', { opacity: 0.25, blendMode: 'multiply' });
+  
+  clock.advance(40);
+  visualizer.renderFrame();
+  clock.advance(20);
+  visualizer.renderFrame();
+  
+  const markers = calls.filter(call => call[0] === 'marker').map(call => call[1]);
+  assert.deepStrictEqual(markers, ['bottom', 'top', 'bottom', 'top']);
+  const settingsBefore = (name) => {
+    const index = calls.findIndex(call => call[0] === 'marker' && call[1] === name);
+    return calls.slice(index - 2, index);
+  };
+  assert.deepStrictEqual(settingsBefore('bottom'),
+    [['set', 'globalAlpha', 0.25], ['set', 'globalCompositeOperation', 'multiply']]);
+  assert.deepStrictEqual(settingsBefore('top'),
+    [['set', 'globalAlpha', 0.5], ['set', 'globalCompositeOperation', 'screen']]);
+  
+  const frame = top.frames[1];
+  assert.ok(Math.abs(frame.deltaTime - 0.02) < 1e-9);
+  assert.ok(Math.abs(frame.time - 0.06) < 1e-9);
+  assert.strictEqual(frame.width, 800);
+  assert.strictEqual(frame.height, 600);
+  assert.strictEqual(frame.audio, visualizer.audioData);
+  assert.strictEqual(frame.mood, visualizer.mood);
+  assert.strictEqual(frame.mood.backgroundColor, engine.moods.calm.backgroundColor);
+  assert.strictEqual(bottom.frames[1], frame);
+});
+
+test('a throwing layer is disabled without stopping the others', () => {
+  const { ctx, calls } = createRecordingContext();
+  const clock = new ManualClock();
+  const visualizer = new AdvancedVisualizer({ getContext: () => ctx }, clock);
+  visualizer.addLayer('broken', { render() { throw new Error('boom'); } }, { index: 0 });
+  visualizer.addLayer('after', createMarkerLayer('after'));
+  
+  const { errors } = captureErrors(() => {
+    clock.step();
+    visualizer.renderFrame();
+    clock.step();
+    visualizer.renderFrame();
+  });
+  
+  assert.strictEqual(errors.length, 1);
+  assert.match(errors[0], /Error in layer broken/);
+  assert.strictEqual(visualizer.getLayers().find(layer => layer.name === 'broken').enabled, false);
+  assert.strictEqual(calls.filter(call => call[0] === 'marker').length, 2);
+  
+  // Every save is balanced by a restore, including the one that threw
+  const count = (name) => calls.filter(call => call[0] === name).length;
+  assert.strictEqual(count('save'), count('restore'));
+});
+
+test('built-in layers follow their config switches both ways', () => {
+  const { ctx } = createRecordingContext();
+  const visualizer = new AdvancedVisualizer({ getContext: () => ctx }, new ManualClock());
+  const enabled = (name) => visualizer.getLayers().find(layer => layer.name === name).enabled;
+  
+  visualizer.setConfig({ particlesEnabled: false });
+  assert.strictEqual(enabled('particles'), false);
+  
+  visualizer.setLayerOptions('particles', { enabled: true });
+  assert.strictEqual(visualizer.config.particlesEnabled, true);
+  assert.strictEqual(enabled('particles'), true);
+});